@@ -0,0 +1,4415 @@
+/*
+    This program is a simulator for building robots.
+    Copyright (C) 2021 Robert Lowe <rlowe@semo.edu>
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */ 
+/**
+ * @file simulator.js
+ * @copyright Robert Lowe 2021
+ * @license GPL 3.0 
+ *
+ * The simulation engine. This file holds the model of the world, the
+ * robots and their parts. It does not touch the DOM, so it can be driven
+ * by the gradbot user interface or loaded into node and stepped directly.
+ */
+
+
+/****************************************** 
+ * Utility Functions and Objects
+ ******************************************/
+
+/**
+ * This function takes an angle in radians and reduces it so its range
+ * is always within [0, 2*PI]
+ * @param {number} a - The angle to reduce
+ * @returns The reduced angle.
+ */
+function reduceAngle(a) {
+    var tau = 2 * Math.PI;
+
+    a %= tau;
+    if(a<0) {
+        a+= tau;
+    }
+
+    return a;
+}
+
+
+/**
+ * Draw a random number from a normal distribution (Box-Muller).
+ * @param {number} mean - The mean of the distribution.
+ * @param {number} stddev - The standard deviation of the distribution.
+ * @returns A normally distributed random number.
+ */
+function gaussian(mean, stddev) {
+    var u = 1 - Math.random();
+    var v = Math.random();
+    var z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    return mean + z * stddev;
+}
+
+
+/**
+ * Compute the minimum distance from point e to the line segment
+ * ab. Each point is expected to be an object with fields x, y
+ * for the coordinates. This function also computes the angle to
+ * that closest point.
+ * @param {object} a - Endpoint a
+ * @param {object} b - Endpoint b
+ * @param {object} e - Endpoint e
+ * @returns {object} - an object {distance:, angle:}
+ */
+function minLineDist(a, b, e) {
+    //vectors
+    var ab = {x: b.x - a.x, y: b.y - a.y};
+    var be = {x: e.x - b.x, y: e.y - b.y};
+    var ae = {x: e.x - a.x, y: e.y - a.y};
+
+    //dot products
+    ab_be = ab.x * be.x + ab.y * be.y;
+    ab_ae = ab.x * ae.x + ab.y * ae.y;
+    
+    //Minimum distance from e to the line segment
+    var result = {distance: Infinity, angle: 0};
+
+    if(ab_be > 0) {
+        // Case 1 - Point b is the closest
+        var y = b.y - e.y;
+        var x = b.x - e.x;
+        result.distance = Math.sqrt(x * x + y * y);
+        result.angle = Math.atan2(y, x);
+    } else if(ab_ae < 0) {
+        // Case 2 - Point a is the closest
+        var y = a.y - e.y;
+        var x = a.x - e.x;
+        result.distance = Math.sqrt(x * x + y * y);
+        result.angle = Math.atan2(y, x);
+    } else {
+        // Case 3 - Perpendicular distance
+        var x1 = ab.x;
+        var y1 = ab.y;
+        var x2 = ae.x;
+        var y2 = ae.y;
+        var mod = Math.sqrt(x1 * x1 + y1 * y1);
+        result.distance = Math.abs(x1 * y2 - y1 * x2) / mod;
+        result.angle = Math.atan2(ab.y, ab.x) + Math.PI/2;
+    }
+
+    return result;
+}
+
+
+
+/**
+ * Find the minimum distance between point p and polygon poly.
+ * It also computes the angle to the nearest point.
+ * @param {object} p - The point as an x, y object.
+ * @param {object} poly - A list of points in the polygon
+ * @returns {object} - an object {distance:, angle:}
+ */
+function minPolyDist(p, poly) {
+    var result = {distance: Infinity, angle: 0};
+    var dist;
+
+    //handle single point polygons 
+    if(poly.length == 1) {
+        var dx = poly[0].x - p.x;
+        var dy = poly[0].y - p.y;
+        result.distance = Math.sqrt(dx*dx + dy*dy);
+        result.angle = Math.atan2(dy, dx);
+        return result;
+    }
+
+    //close the path
+    poly = poly.concat([poly[0]]);
+
+    // check all the line segments
+    for(var i=0; i<poly.length - 1; i++) {
+        a = {x: poly[i].x, y: poly[i].y};
+        b = {x: poly[i+1].x, y: poly[i+1].y};
+        dist = minLineDist(a, b, p);
+        if(dist.distance < result.distance) {
+            result = dist;
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Find where a ray meets the line segment ab.
+ * @param {object} o - The origin of the ray.
+ * @param {object} d - The unit direction of the ray.
+ * @param {object} a - Endpoint a
+ * @param {object} b - Endpoint b
+ * @returns {number} - The distance along the ray to the segment, or
+ *                     Infinity if the ray misses it.
+ */
+function raySegment(o, d, a, b) {
+    var ex = b.x - a.x;
+    var ey = b.y - a.y;
+    var denom = d.x * ey - d.y * ex;
+    if(denom == 0) {
+        //parallel lines never meet
+        return Infinity;
+    }
+
+    var ax = a.x - o.x;
+    var ay = a.y - o.y;
+    var t = (ax * ey - ay * ex) / denom;
+    var u = (ax * d.y - ay * d.x) / denom;
+    if(t < 0 || u < 0 || u > 1) {
+        return Infinity;
+    }
+    return t;
+}
+
+
+/**
+ * Find where a ray first meets a polygon.
+ * @param {object} o - The origin of the ray.
+ * @param {object} d - The unit direction of the ray.
+ * @param {object} poly - A list of points in the polygon.
+ * @returns {number} - The distance along the ray to the polygon, or
+ *                     Infinity if the ray misses it.
+ */
+function rayPolygon(o, d, poly) {
+    var result = Infinity;
+    for(var i=0; i<poly.length; i++) {
+        var t = raySegment(o, d, poly[i], poly[(i+1) % poly.length]);
+        if(t < result) {
+            result = t;
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Find where a ray first meets a circle.
+ * @param {object} o - The origin of the ray.
+ * @param {object} d - The unit direction of the ray.
+ * @param {object} c - The center of the circle.
+ * @param {number} r - The radius of the circle.
+ * @returns {number} - The distance along the ray to the circle, or
+ *                     Infinity if the ray misses it.
+ */
+function rayCircle(o, d, c, r) {
+    var fx = o.x - c.x;
+    var fy = o.y - c.y;
+    var b = fx * d.x + fy * d.y;
+    var disc = b * b - (fx * fx + fy * fy - r * r);
+    if(disc < 0) {
+        return Infinity;
+    }
+
+    var root = Math.sqrt(disc);
+    var t = -b - root;
+    if(t < 0) {
+        //we start inside the circle
+        t = -b + root >= 0 ? 0 : Infinity;
+    }
+    return t;
+}
+
+
+/**
+ * Find where a ray first meets a view. Views with a radius (lights) are
+ * treated as circles.
+ * @param {object} o - The origin of the ray.
+ * @param {object} d - The unit direction of the ray.
+ * @param {object} view - The vector view.
+ * @returns {number} - The distance along the ray to the view, or
+ *                     Infinity if the ray misses it.
+ */
+function rayView(o, d, view) {
+    if(isCircle(view)) {
+        return rayCircle(o, d, view.polygon[0], view.radius * view.scale);
+    }
+    return rayPolygon(o, d, viewPolygon(view));
+}
+
+
+/**
+ * Get the polygon of a view. Views which have not computed a polygon
+ * are treated as the rectangle of their extents.
+ * @param {object} view - The vector view.
+ * @returns {object} - A list of points in the polygon.
+ */
+function viewPolygon(view) {
+    if(view.polygon && view.polygon.length > 0) {
+        return view.polygon;
+    }
+
+    return [
+        {x: view.minx, y: view.miny},
+        {x: view.maxx, y: view.miny},
+        {x: view.maxx, y: view.maxy},
+        {x: view.minx, y: view.maxy}
+    ];
+}
+
+
+/**
+ * Determine if a view is a circle (as lights are). Circles have a radius
+ * and a polygon consisting only of their center.
+ * @param {object} view - The vector view.
+ * @returns True if the view is a circle.
+ */
+function isCircle(view) {
+    return view.radius != undefined && view.polygon && view.polygon.length == 1;
+}
+
+
+/**
+ * Project a polygon onto an axis.
+ * @param {object} poly - A list of points in the polygon.
+ * @param {object} axis - The axis as an x, y object.
+ * @returns {object} - an object {min:, max:}
+ */
+function projectPolygon(poly, axis) {
+    var result = {min: Infinity, max: -Infinity};
+    for(var i=0; i<poly.length; i++) {
+        var d = poly[i].x * axis.x + poly[i].y * axis.y;
+        if(d < result.min) { result.min = d; }
+        if(d > result.max) { result.max = d; }
+    }
+    return result;
+}
+
+
+/**
+ * Determine if point p lies inside polygon poly.
+ * @param {object} p - The point as an x, y object.
+ * @param {object} poly - A list of points in the polygon.
+ * @returns True if the point is inside the polygon.
+ */
+function pointInPolygon(p, poly) {
+    var inside = false;
+    for(var i=0, j=poly.length-1; i<poly.length; j=i++) {
+        var a = poly[i];
+        var b = poly[j];
+        if((a.y > p.y) != (b.y > p.y) &&
+           p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+
+/**
+ * Find the closest point to p on the line segment ab.
+ * @param {object} a - Endpoint a
+ * @param {object} b - Endpoint b
+ * @param {object} p - The point
+ * @returns {object} - The closest point as an x, y object.
+ */
+function closestSegmentPoint(a, b, p) {
+    var ab = {x: b.x - a.x, y: b.y - a.y};
+    var len2 = ab.x * ab.x + ab.y * ab.y;
+    if(len2 == 0) {
+        return {x: a.x, y: a.y};
+    }
+
+    var t = ((p.x - a.x) * ab.x + (p.y - a.y) * ab.y) / len2;
+    t = Math.max(0, Math.min(1, t));
+    return {x: a.x + t * ab.x, y: a.y + t * ab.y};
+}
+
+
+/**
+ * Find the center of a polygon (the average of its points).
+ * @param {object} poly - A list of points in the polygon.
+ * @returns {object} - The center as an x, y object.
+ */
+function polygonCenter(poly) {
+    var result = {x: 0, y: 0};
+    for(var i=0; i<poly.length; i++) {
+        result.x += poly[i].x;
+        result.y += poly[i].y;
+    }
+    result.x /= poly.length;
+    result.y /= poly.length;
+    return result;
+}
+
+
+/**
+ * Grow a convex polygon by pushing its points away from its center.
+ * @param {object} poly - A list of points in the polygon.
+ * @param {number} margin - How far to push each point.
+ * @returns {object} - The list of points in the grown polygon.
+ */
+function growPolygon(poly, margin) {
+    var center = polygonCenter(poly);
+    var result = [];
+    for(var i=0; i<poly.length; i++) {
+        var dx = poly[i].x - center.x;
+        var dy = poly[i].y - center.y;
+        var len = Math.sqrt(dx*dx + dy*dy);
+        if(len == 0) {
+            result.push({x: poly[i].x, y: poly[i].y});
+            continue;
+        }
+        result.push({x: poly[i].x + dx / len * margin, y: poly[i].y + dy / len * margin});
+    }
+    return result;
+}
+
+
+/**
+ * Separating axis test for two convex polygons. If they overlap, this
+ * finds the shortest way to push poly1 out of poly2.
+ * @param {object} poly1 - First list of points.
+ * @param {object} poly2 - Second list of points.
+ * @returns {object} - null if the polygons do not overlap, otherwise
+ *                     an object {x:, y:, depth:} where x, y is the unit
+ *                     normal to push poly1 along and depth is how far.
+ */
+function polygonContact(poly1, poly2) {
+    var polys = [poly1, poly2];
+    var result = null;
+
+    for(var k=0; k<polys.length; k++) {
+        var poly = polys[k];
+        for(var i=0; i<poly.length; i++) {
+            var a = poly[i];
+            var b = poly[(i+1) % poly.length];
+
+            //the normal of the edge is our candidate axis
+            var axis = {x: a.y - b.y, y: b.x - a.x};
+            var len = Math.sqrt(axis.x * axis.x + axis.y * axis.y);
+            if(len == 0) { continue; }
+            axis.x /= len;
+            axis.y /= len;
+
+            var p1 = projectPolygon(poly1, axis);
+            var p2 = projectPolygon(poly2, axis);
+            if(p1.max <= p2.min || p2.max <= p1.min) {
+                // we found a gap
+                return null;
+            }
+
+            //keep the axis with the least overlap
+            var depth = Math.min(p1.max - p2.min, p2.max - p1.min);
+            if(!result || depth < result.depth) {
+                result = {x: axis.x, y: axis.y, depth: depth};
+            }
+        }
+    }
+
+    // a polygon with no edges has nothing to push against
+    if(!result) {
+        return null;
+    }
+
+    //point the normal from poly2 towards poly1
+    var c1 = polygonCenter(poly1);
+    var c2 = polygonCenter(poly2);
+    if((c1.x - c2.x) * result.x + (c1.y - c2.y) * result.y < 0) {
+        result.x = -result.x;
+        result.y = -result.y;
+    }
+
+    return result;
+}
+
+
+/**
+ * Separating axis test for two convex polygons.
+ * @param {object} poly1 - First list of points.
+ * @param {object} poly2 - Second list of points.
+ * @returns True if the polygons overlap, false otherwise.
+ */
+function polygonsIntersect(poly1, poly2) {
+    return polygonContact(poly1, poly2) != null;
+}
+
+
+/**
+ * Find the contact between a circle and a polygon.
+ * @param {object} center - The center of the circle.
+ * @param {number} radius - The radius of the circle.
+ * @param {object} poly - A list of points in the polygon.
+ * @returns {object} - null if they do not overlap, otherwise an object
+ *                     {x:, y:, depth:} to push the circle out along.
+ */
+function circleContact(center, radius, poly) {
+    //find the closest point on the outline of the polygon
+    var closest = null;
+    var best = Infinity;
+    for(var i=0; i<poly.length; i++) {
+        var p = closestSegmentPoint(poly[i], poly[(i+1) % poly.length], center);
+        var dx = center.x - p.x;
+        var dy = center.y - p.y;
+        var d = dx*dx + dy*dy;
+        if(d < best) {
+            best = d;
+            closest = p;
+        }
+    }
+    if(!closest) {
+        return null;
+    }
+
+    var inside = pointInPolygon(center, poly);
+    var dist = Math.sqrt(best);
+    if(!inside && dist >= radius) {
+        return null;
+    }
+
+    //push away from the outline, or back out through it when inside
+    var result = {x: 0, y: 0, depth: inside ? radius + dist : radius - dist};
+    if(dist > 0) {
+        result.x = (center.x - closest.x) / dist;
+        result.y = (center.y - closest.y) / dist;
+        if(inside) {
+            result.x = -result.x;
+            result.y = -result.y;
+        }
+    } else {
+        //right on the outline, push away from the middle
+        var c = polygonCenter(poly);
+        var angle = Math.atan2(center.y - c.y, center.x - c.x);
+        result.x = Math.cos(angle);
+        result.y = Math.sin(angle);
+    }
+
+    return result;
+}
+
+
+/**
+ * Find the contact between two views. Views are compared by their
+ * polygons, and views with a radius (lights) are compared as circles.
+ * @param {object} view1 - First vector view.
+ * @param {object} view2 - Second vector view.
+ * @returns {object} - null if the views do not touch, otherwise an object
+ *                     {x:, y:, depth:} where x, y is the unit normal to
+ *                     push view1 along and depth is how far to push it.
+ */
+function contact(view1, view2) {
+    // Views whose extents do not overlap cannot collide
+    if (!(view1.minx < view2.maxx && view1.maxx > view2.minx &&
+          view1.miny < view2.maxy && view1.maxy > view2.miny)) {
+        return null;
+    }
+
+    // handle circles
+    if(isCircle(view1) && isCircle(view2)) {
+        var dx = view1.polygon[0].x - view2.polygon[0].x;
+        var dy = view1.polygon[0].y - view2.polygon[0].y;
+        var r = view1.radius * view1.scale + view2.radius * view2.scale;
+        var dist = Math.sqrt(dx*dx + dy*dy);
+        if(dist >= r) {
+            return null;
+        }
+        if(dist == 0) {
+            return {x: 1, y: 0, depth: r};
+        }
+        return {x: dx/dist, y: dy/dist, depth: r - dist};
+    } else if(isCircle(view1)) {
+        return circleContact(view1.polygon[0], view1.radius * view1.scale, viewPolygon(view2));
+    } else if(isCircle(view2)) {
+        var result = circleContact(view2.polygon[0], view2.radius * view2.scale, viewPolygon(view1));
+        if(result) {
+            result.x = -result.x;
+            result.y = -result.y;
+        }
+        return result;
+    }
+
+    // both views are polygons
+    return polygonContact(viewPolygon(view1), viewPolygon(view2));
+}
+
+
+/**
+ * Collision detection.
+ * @param {object} view1 - First vector view.
+ * @param {object} view2 - Second vector view.
+ * @returns True if the views are in collision, false otherwise.
+ */
+function collision(view1, view2) {
+    return contact(view1, view2) != null;
+}
+
+
+/**
+ * This is a prototype for a positionable object. It handles all the 
+ * intricacies of moving an object around.
+ * @param {number} x - x coordinate 
+ * @param {number} y - y coordinate
+ * @param {number} heading  - the direction in which the object is facing
+ */
+function Positionable(x, y, heading) {
+    this.x = x != undefined ? x : 0;
+    this.y = y != undefined ? y : 0;
+    this.heading = heading != undefined ? heading : 0;
+    this.heading = reduceAngle(this.heading);
+
+    /**
+     * Rotate the positionable.
+     * @param {number} a - The angle to rotate by (in radians)
+     */
+    this.rotate = function(a) {
+        this.heading = reduceAngle(this.heading + a);
+    };
+
+
+    /**
+     * Turn the positionable to face along the given heading.
+     * @param {number} a - The new heading to face along
+     */
+    this.face = function(a) {
+        this.heading = reduceAngle(a);
+    }
+
+
+    /**
+     * Move the positionable to (x,y)
+     * @param {*} x 
+     * @param {*} y 
+     */
+    this.moveTo = function(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+}
+
+
+/****************************************** 
+ * Simulation Objects
+ ******************************************/
+
+/**
+ * Acceleration due to gravity in pixels per second squared. The world
+ * is drawn at roughly 60 pixels per meter.
+ */
+const GRAVITY = 9.81 * 60;
+
+/**
+ * Tolerance when comparing simulated times, which pick up rounding
+ * errors as the fixed steps add up.
+ */
+const TIME_EPSILON = 1e-9;
+
+
+/**
+ * A document for a part.
+ * Functions are an array of dictionaries:
+ *   { name: name of the function
+ *     doc: explanation of the function
+ *     params: Array( {
+ *        name : name of parameter
+ *        doc : document of parameter
+ *     }
+ *  }
+ * Vars are an array of dictionaries:
+ *  { name: name of var, doc: document of var }
+ * Settings are vars which can be changed in the part editor:
+ *  { name: name of var, doc: document of var }
+ * The user interface supplies the display function.
+ */
+function PartDoc() {
+    this.functions = Array();
+    this.vars = Array();
+    this.settings = Array();
+    this.showName = true;
+}
+
+
+/**
+ * Report a problem with the robot to the user. By default the message is
+ * logged, the user interface replaces this to show it on the page.
+ * @param {string} message - The error message.
+ */
+var simulationError = function(message) {
+    console.log(message);
+};
+
+
+/**
+ * This is called with every newly constructed part. It does nothing
+ * by default, the user interface replaces it to keep track of part names.
+ * @param {*} part - The new part.
+ */
+var partCreated = function(part) { };
+
+
+/**
+ * The Part object is the base of all robot parts. 
+ * @param {*} parent  - Parent container of the part.
+ * @param {*} x - X coordinate of the part.
+ * @param {*} y  - Y coordinate of the part.
+ * @param {*} heading  - Angle (0-2*Pi) of the part. 
+ */
+var partCount = 0;
+function Part(parent, x, y, heading, name) 
+{
+    partCount++;
+    // populate the fields
+    this.parent = parent;
+    Positionable.call(this, x, y, heading);
+    this.type = "part";
+
+    this.name = name != undefined ? name : ("part" + partCount);
+    this.doc = new PartDoc();
+    partCreated(this);
+
+    //position in world coordinates
+    this.worldx = 0;
+    this.worldy = 0;
+
+    // the outline and fill color of the part
+    this.outline = "black";
+    this.fill = "white";
+
+
+    //set up the functions By default, they do nothing
+
+    /**
+    * Send data to the part.
+     * @param {*} data - The data to send.
+     */
+    this.send = function(data){ };
+
+    /**
+     * Receive data from the part.
+     * @returns The data from the part.
+     */
+    this.receive = function(){ };
+
+    /**
+     * The power level of the part.
+     */
+    this.power = 0;
+
+    /**
+     * Set the power level of the part. Power level is a number between
+     * 0 and 100 inclusive.
+     * @param {*} power - The power level.
+     */
+    this.setPower = function(power) {
+
+        // NOTE: the userbot side of set power will trigger first
+        // check to make sure that the setPower() function isn't empty
+        if(power == undefined) {
+            simulationError("Error: You left your power level blank. You must enter a power value between 1-100 in your code ( ex: left.setPower(70) )");
+            
+            // set power to 0
+            power = 0;
+        }
+        
+        //limit the power setting's range
+        if(power > 100) {
+            power = 100;
+        } else if(power < -100) {
+            power = -100;
+        }
+        this.power = power;
+    };
+
+
+    /**
+     * The heading of the part in the world: the robot's heading turned by
+     * the part's own heading and by the servo it is mounted on (if any).
+     * @returns The heading in radians.
+     */
+    this.worldHeading = function() {
+        if(!this.parent) {
+            return this.heading;
+        }
+        var heading = this.parent.heading + this.heading;
+        var servo = mountingServo(this);
+        if(servo) {
+            heading += servo.angle * Math.PI / 180;
+        }
+        return heading;
+    };
+
+
+    /**
+     * Is the robot this part belongs to touching a wall or another robot?
+     * @returns True if there is a collision, false otherwise.
+     */
+    this.isCollided = function() {
+        var chassis = this.parent ? this.parent : this;
+        return chassis.collided == true;
+    };
+
+
+    /**
+     * Update the part's state.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.update = function(dt) { };
+
+
+    /**
+     * Serialize
+     */
+    this.toJSON = function () {
+        result = {};
+        for (var attr in this) {
+            //skip parents, the world, and functions
+            if (attr == "parent" || attr == "world" || typeof this[attr] == "function" || attr == "doc") {
+                continue;
+            }
+            result[attr] = this[attr];
+        }
+        return result;
+    };
+
+
+    /**
+     * Return a sendable (postable to a worker) version of this object.
+     */
+    this.sendable = function() {
+        //by default, just use the toJSON function
+        return this.toJSON();
+    };
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        //by default, just ignore the message!
+    }
+}
+
+
+
+
+function Motor(parent, x, y, heading, name)
+{
+    //construct the part
+    Part.call(this, parent, x, y, heading, name);
+    this.type = "Motor";
+
+    //document the motor
+    this.doc.functions = Array(
+        { name: 'setPower',
+          doc: 'This sets the power of the motor.',
+          params: Array( { name: 'p', doc: 'This is the power setting. Its value can range from -100 to 100.'})
+        }
+    );
+    this.doc.vars = Array(
+        {name: 'power', doc: 'This represents the current power setting of the motor.'},
+        {name: 'speed', doc: 'The speed of the wheel in radians per second.'},
+        {name: 'encoder', doc: 'The number of encoder ticks the wheel has turned (negative when it turns backward).'},
+        {name: 'ticksPerRev', doc: 'The number of encoder ticks in one turn of the wheel.'}
+    );
+
+    // handle speed of the motor
+    this.speed = 0;  // motor speed in radians per second
+
+    // the wheel encoder
+    this.rotation = 0;      // total wheel rotation in radians
+    this.encoder = 0;       // total wheel rotation in ticks
+    this.ticksPerRev = 360;
+    this.freq = 20;         // how often the encoder is reported in hertz
+
+    this.update = function(dt) {
+        this.updateSpeed(dt);
+
+        //start counting over in a new run (or with a saved robot)
+        var world = this.parent ? this.parent.world : undefined;
+        if(world && (this.lastUpdate == undefined || this.lastUpdate > world.time)) {
+            this.lastUpdate = world.time;
+            this.rotation = 0;
+        }
+
+        //turn the wheel and count the ticks
+        this.rotation += this.speed * dt;
+        this.encoder = Math.round(this.rotation / (2 * Math.PI) * this.ticksPerRev);
+
+        //pass the encoder into the web worker
+        if(world && world.time - this.lastUpdate >= 1 / this.freq - TIME_EPSILON) {
+            this.lastUpdate = world.time;
+            this.reportEncoder();
+        }
+    }
+
+
+    /**
+     * Pass the encoder and speed into the web worker.
+     */
+    this.reportEncoder = function() {
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, speed: this.speed, encoder: this.encoder}});
+        }
+    }
+
+
+    /**
+     * Bring the motor speed toward its power setting.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.updateSpeed = function(dt) {
+        //we are basing this on the sparkfun hobby motors which spin at 65 RPM (max)
+        //This maximum speed is roughly 6.81 radians per second
+        var target = 6.81 * this.power / 100;
+
+        //a flat battery can't turn the wheels
+        if(this.parent && this.parent.battery) {
+            target *= this.parent.battery.output();
+        }
+
+        //the ideal motor reaches its speed at once
+        var drivetrain = this.parent ? this.parent.drivetrain : undefined;
+        if(!drivetrain || drivetrain.model != "realistic") {
+            this.speed = target;
+            return;
+        }
+
+        //real motors are never quite matched
+        target *= this.parent.right === this ? drivetrain.rightGain : drivetrain.leftGain;
+
+        //and take time to get up to speed
+        var change = target - this.speed;
+        var limit = drivetrain.maxAccel * dt;
+        if(change > limit) {
+            change = limit;
+        } else if(change < -limit) {
+            change = -limit;
+        }
+        this.speed += change;
+    }
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        //copy the power setting from the user model
+        this.setPower(message.power);
+    }
+}
+
+
+/**
+ * The robot's battery. It only runs down in a world with an energy
+ * budget, where the motors, lights, and lasers all draw from it.
+ * @param {*} parent - The chassis.
+ */
+function Battery(parent)
+{
+    //construct the part
+    Part.call(this, parent, 0, 0, 0, "battery");
+    this.type = "Battery";
+
+    this.doc.vars = Array(
+        {name: 'level', doc: 'How much energy is left in percent (100 is full, 0 is empty).'}
+    );
+
+    this.charge = 0;        // energy left
+    this.level = 100;       // energy left in percent
+    this.freq = 2;          // how often the level is reported in hertz
+
+    /**
+     * Get the world's energy budget.
+     * @returns The budget, or null if the battery never runs down.
+     */
+    this.budget = function() {
+        var world = this.parent ? this.parent.world : undefined;
+        if(!world || !world.energy || !(world.energy.capacity > 0)) {
+            return null;
+        }
+        return world.energy;
+    };
+
+
+    this.update = function(dt) {
+        var budget = this.budget();
+        if(!budget) {
+            this.level = 100;
+            return;
+        }
+
+        //charge up for a new run
+        var world = this.parent.world;
+        if(this.lastUpdate == undefined || this.lastUpdate > world.time) {
+            this.lastUpdate = world.time;
+            this.charge = budget.capacity;
+            this.level = 100;
+            this.reportLevel();
+        }
+
+        //the motors draw in proportion to their power
+        var chassis = this.parent;
+        var power = (Math.abs(chassis.left.power) + Math.abs(chassis.right.power)) / 100;
+        this.use(power * budget.motor * dt);
+
+        //and the lights to their brightness
+        for(var i=0; i < chassis.parts.length; i++) {
+            var p = chassis.parts[i];
+            if(p.type == "Light") {
+                this.use(p.brightness * budget.light * dt);
+            }
+        }
+
+        //pass the level into the web worker
+        if(world.time - this.lastUpdate >= 1 / this.freq - TIME_EPSILON) {
+            this.lastUpdate = world.time;
+            this.reportLevel();
+        }
+    };
+
+
+    /**
+     * Pass the level into the web worker.
+     */
+    this.reportLevel = function() {
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, level: this.level}});
+        }
+    };
+
+
+    /**
+     * Draw energy from the battery.
+     * @param {number} amount - The energy needed.
+     * @returns True if there was enough energy.
+     */
+    this.use = function(amount) {
+        var budget = this.budget();
+        if(!budget) {
+            return true;
+        }
+        if(this.charge < amount) {
+            this.charge = 0;
+            this.level = 0;
+            return false;
+        }
+        this.charge -= amount;
+        this.level = 100 * this.charge / budget.capacity;
+        return true;
+    };
+
+
+    /**
+     * How much of their power the motors can get. The motors fade over
+     * the last fifth of the battery and stop when it is empty.
+     * @returns The fraction of the power, from 0 to 1.
+     */
+    this.output = function() {
+        if(!this.budget()) {
+            return 1;
+        }
+        return Math.min(1, this.level / 20);
+    };
+}
+
+
+function Marker(parent, x, y, name) {
+    //construct the part
+    Part.call(this, parent, x, y, 0, name);
+    this.type = "Marker";
+
+    // document the part
+    this.doc.functions = Array(
+        { name: 'penDown', doc: 'This begins drawing.', params: Array()},
+        { name: 'penUp', doc: 'This stops drawing.', params: Array()},
+        { name: 'setColor', doc: 'This changes the drawing color.', params: Array(
+            {name: 'c', doc: 'This is color (ex: blue)'}
+        )}
+    );
+    this.doc.vars = Array(
+        { name: 'color', doc: 'The current color of the marker.' },
+        { name: 'penDrawing', doc: 'True if the pen is drawing.'}
+    );
+
+    //by default we are coloring black
+    this.color = "black";
+
+    //by default the pen is up
+    this.penDrawing = false;
+
+    //set the marker color
+    this.setColor = function(color) {
+        this.color = color;
+    }
+
+    //lower the pen
+    this.penDown = function() {
+        this.penDrawing = true;
+    }
+
+    //raise the pen
+    this.penUp = function() {
+        this.penDrawing = false;
+    }
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        this.color = message.color;
+        this.penDrawing = message.penDrawing;
+    }
+}
+
+
+function Chassis(x, y, heading, name) 
+{
+    Part.call(this, null, x, y, heading, name);
+    this.type = "Chassis";
+    
+    //no thread at first
+    this.thread = null;
+
+    //we are not in a world until one takes us in
+    this.world = null;
+
+    //are we touching a wall or another robot?
+    this.collided = false;
+
+    //how hard we are to push around
+    this.mass = 1;  // kilograms
+
+    //the team we play on (teammates' lasers pass us by)
+    this.team = null;
+
+    //handle the subparts of the chassis
+    this.parts = Array();
+    this.addPart = function(p) {
+        this.parts.push(p);
+    };
+
+    // create the left and right motors
+    this.left = new Motor(this, -7, -7, 0, "left");
+    this.right = new Motor(this, -7, 7, Math.PI, "right");
+
+    // the battery, which runs the whole robot
+    this.battery = new Battery(this);
+
+    // adding a wheel size variable to the chassis
+    this.chassisWheelSize = 0.065;
+
+    // distance between the wheels in meters
+    this.axleLength = 0.238;
+
+    // how the wheels and motors behave. The ideal model moves exactly
+    // as the motors are told; the realistic model uses the options below.
+    this.drivetrain = {
+        model: "ideal",      // "ideal" or "realistic"
+        maxAccel: 20,        // motor acceleration limit in rad/s^2
+        leftGain: 1,         // left motor speed multiplier
+        rightGain: 0.97,     // right motor speed multiplier
+        slip: 0.05,          // fraction of wheel motion lost to slip
+        odometryNoise: 0.05  // standard deviation of the motion error (fraction)
+    };
+
+    //we start unexploded and healthy!
+    this.hp = 3;
+    this.blowedUp = false;
+    this.explosionVelocities = [];
+
+    // create the robot code
+    this.code = "";
+
+    // set up the laser battery
+    this.laserBattery = 50;
+
+    // deal with explosions
+    this.explode = function() {
+        //terminate the robot thread
+        if(this.thread){
+            this.thread.terminate();
+        }
+        this.blowedUp = true;
+        this.explosionVelocities = [];
+
+        //put all the parts in the world with new velocities
+        this.parts = this.parts.concat([this.left, this.right, this]);
+        var speed = 600;  //pixels per second
+        for(var i=0; i<this.parts.length; i++) {
+            //worldify it!
+            this.parts[i].x = this.parts[i].worldx;
+            this.parts[i].y = this.parts[i].worldy;
+            this.parts[i].parent = null;
+
+            //compute the new velocities
+            var heading = Math.random() * Math.PI * 2;
+            var velocity = { dx: speed * Math.cos(heading),
+                             dy: speed * Math.sin(heading) };
+            this.explosionVelocities.push(velocity);
+        }
+
+    }
+
+
+    //explosion step
+    this.explosionUpdate = function(dt) {
+        for(var i=0; i < this.parts.length; i++) {
+            var p = this.parts[i];
+
+            //tumble
+            p.rotate(18 * dt);
+
+            //travel
+            p.x += this.explosionVelocities[i].dx * dt;
+            p.y += this.explosionVelocities[i].dy * dt;
+        }
+    }
+
+
+    /**
+     * Advance the chassis by one physics step.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.update = function(dt) 
+    {
+        //handle exploding
+        if(this.blowedUp) {
+            this.explosionUpdate(dt);
+            return;
+        }
+
+        //has the end come?
+        if(this.hp <= 0) {
+          this.explode();
+          return;
+        }
+
+        //update all the sub parts
+        for(var i in this.parts) {
+            var p = this.parts[i];
+            p.update(dt);
+        }
+
+        //use up the battery
+        this.battery.update(dt);
+
+        //update the motors
+        this.left.update(dt);
+        this.right.update(dt);
+
+        //compute our forward translation and yaw speeds
+        var r = Number(this.chassisWheelSize); // adjustable wheel size, 65mm diameter wheels by default
+        var l = Number(this.axleLength); // 238mm axel length by default
+        var ls = this.left.speed;
+        var rs = this.right.speed;
+
+        //real wheels slip, and never move quite as expected
+        if(this.drivetrain && this.drivetrain.model == "realistic") {
+            var grip = 1 - this.drivetrain.slip;
+            var noise = this.drivetrain.odometryNoise;
+            ls *= grip * gaussian(1, noise);
+            rs *= grip * gaussian(1, noise);
+        }
+
+        var fwd = r/2 * (ls + rs) * 60;
+        var yaw = r/l * (ls - rs);
+
+        //perform translation
+        this.x += fwd * Math.cos(this.heading) * dt;
+        this.y += fwd * Math.sin(this.heading) * dt;
+        this.heading += yaw * dt;
+
+        // Update the position of the object based on the world's mode
+        if(this.world) {
+            this.world.wrap(this);
+        }
+    };
+
+
+    /**
+     * Return a sendable (postable to a worker) version of this object.
+     */
+    this.sendable = function() {
+        var result = {};
+        result.name = this.name;
+        result.type = this.type;
+        result.code = this.code;
+        result.parts = [];
+
+        //push the motors onto the parts list
+        result.parts.push(this.left.sendable());
+        result.parts.push(this.right.sendable());
+        result.parts.push(this.battery.sendable());
+
+        //push all the parts
+        for(var i=0; i<this.parts.length; i++) {
+            result.parts.push(this.parts[i].sendable());
+        }
+
+        return result;
+    };
+
+    /**
+     * Return the part with the given name
+     * @param {*} name 
+     */
+    this.getPartByName = function(name) {
+        //try the motors
+        if(this.left.name == name) {
+            return this.left;
+        }
+        if(this.right.name == name) {
+            return this.right;
+        }
+
+        //try the parts
+        for(var i=0; i<this.parts.length; i++) {
+            if(this.parts[i].name == name) {
+                return this.parts[i];
+            }
+        }
+
+        //not found!
+        return null;
+    }
+
+
+    // reset the laser battery
+    this.resetLaserBattery = function() {
+        this.laserBattery = 50;
+    }
+
+    // deplete the laser battery by a certain amount
+    this.depleteLaserBattery = function(amount) {
+        this.laserBattery -= amount;
+    }
+}
+
+
+/**
+ * A light. It glows!
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Light(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Light";
+    this.radius = 3;
+    this.fill = "yellow"       
+    this.moveable = true;      
+    this.brightness = 1;
+    this.doc.settings = Array(
+        {name: 'brightness', doc: 'How bright the light is (1 gives 100% intensity at 1 meter).'}
+    );
+    this.doc.functions = Array(
+        { name: 'setColor', doc: 'This changes the light color.', params: Array(
+            {name: 'c', doc: 'The color value (ex: blue)'}
+        )},
+        { name: 'setBrightness', doc: 'This changes the light brightness.', params: Array(
+            {name: 'b', doc: 'The brightness (1 gives 100% intensity at 1 meter)'}
+        )}
+    );
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        //copy the color and brightness from the user model
+        this.fill = message.fill;
+        if(message.brightness != undefined) {
+            this.brightness = message.brightness;
+        }
+    }
+}
+
+
+/**
+ * A wall, it just is!
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Wall(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Wall";
+    this.outline="blue";    
+    this.fill = "blue";
+    this.rotated = false;    
+    this.moveable = true;       
+}
+
+/**
+ * what's in the fing box!
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ * @param {*} size 
+ */
+function Box(parent, x, y, size) {
+    Part.call(this, parent, x, y);
+    this.type = "Box";
+    this.outline = "blue";
+    this.fill = "lightblue";
+    this.size = size;
+    this.moveable = true;  
+
+    // how the box responds to being pushed
+    this.mass = 1;          // kilograms
+    this.friction = 0.5;    // coefficient of friction with the floor
+
+    // sliding velocity in pixels per second
+    this.vx = 0;
+    this.vy = 0;
+
+
+    /**
+     * Slide the box, slowing it down with friction.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.update = function(dt) {
+        var speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+        if(speed == 0) {
+            return;
+        }
+
+        //friction slows the box by mu * g
+        var slow = this.friction * GRAVITY * dt;
+        if(slow >= speed) {
+            this.vx = 0;
+            this.vy = 0;
+            return;
+        }
+        this.vx -= this.vx / speed * slow;
+        this.vy -= this.vy / speed * slow;
+
+        this.x += this.vx * dt;
+        this.y += this.vy * dt;
+    };
+
+
+    /**
+     * Push the box by a distance, giving it at least the velocity needed
+     * to cover that distance in one step.
+     * @param {number} dx - distance to move in x
+     * @param {number} dy - distance to move in y
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.push = function(dx, dy, dt) {
+        this.x += dx;
+        this.y += dy;
+
+        var dist = Math.sqrt(dx*dx + dy*dy);
+        if(dist == 0 || !dt) {
+            return;
+        }
+
+        //bring the velocity along the push up to the speed of the push
+        var ux = dx / dist;
+        var uy = dy / dist;
+        var along = this.vx * ux + this.vy * uy;
+        var speed = dist / dt;
+        if(along < speed) {
+            this.vx += (speed - along) * ux;
+            this.vy += (speed - along) * uy;
+        }
+    };
+
+
+    /**
+     * Stop the box from sliding along a direction (such as into a wall).
+     * @param {number} nx - x part of the unit direction
+     * @param {number} ny - y part of the unit direction
+     */
+    this.stopAlong = function(nx, ny) {
+        var along = this.vx * nx + this.vy * ny;
+        if(along > 0) {
+            this.vx -= along * nx;
+            this.vy -= along * ny;
+        }
+    };
+}
+
+/**
+ * A sensor which looks at the ground beneath it, for following lines.
+ * It reads the color of the drawings, marker trails, and background
+ * under the sensor.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function LineSensor(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "LineSensor";
+    this.worldx = 0;
+    this.worldy = 0;
+    this.value = 100;
+    this.color = "#ffffff";
+    sensorSettings(this, 0, "percent");
+
+    //the sensor only looks straight down
+    this.doc.settings = this.doc.settings.filter(function(s) {
+        return s.name != "fov" && s.name != "range";
+    });
+
+    this.doc.vars = Array(
+        {name: 'value', doc: 'The brightness of the ground under the sensor (0 for black to 100 for white).'},
+        {name: 'color', doc: 'The color of the ground under the sensor (ex: #ff0000).'}
+    );
+
+
+    this.updateSensor = function() {
+        //look up the ground, which is white if the world has none
+        var world = this.parent.world;
+        var ground = world.ground ? world.ground(this.worldx, this.worldy) : null;
+        if(!ground) {
+            ground = {r: 255, g: 255, b: 255};
+        }
+
+        //a missed reading keeps the last one
+        var value = this.sense((ground.r + ground.g + ground.b) / 7.65);
+        if(value == undefined) {
+            return;
+        }
+        this.value = Math.min(100, Math.max(0, value));
+        this.color = "#" + [ground.r, ground.g, ground.b].map(function(c) {
+            return ("0" + Math.round(c).toString(16)).slice(-2);
+        }).join("");
+
+        //pass the update into the web worker
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, value: this.value, color: this.color}});
+        }
+    };
+}
+
+
+/**
+ * Set up the settings shared by the sensors: field of view, range,
+ * update frequency, noise and dropout.
+ * @param {*} sensor - The sensor part.
+ * @param {number} range - The default range of the sensor.
+ * @param {string} units - The units of the sensor's reading.
+ */
+function sensorSettings(sensor, range, units) {
+    sensor.fov = 1.04;      //field of view in radians
+    sensor.range = range;   //maximum range in meters
+    sensor.freq = 10;       //frequency in hertz
+    sensor.noise = 0;       //standard deviation of the reading
+    sensor.dropout = 0;     //probability of missing a reading
+
+    sensor.doc.settings = Array(
+        {name: 'fov', doc: 'The width of the field of view in radians.'},
+        {name: 'range', doc: 'The farthest the sensor can sense in meters.'},
+        {name: 'freq', doc: 'How many times per second the sensor takes a reading.'},
+        {name: 'noise', doc: 'The standard deviation of the random error in each reading (' + units + ').'},
+        {name: 'dropout', doc: 'The chance (0 to 1) that a reading is missed.'}
+    );
+
+
+    /**
+     * Is the given world heading within the field of view?
+     * @param {number} angle - The heading to test.
+     * @returns True if the sensor can see along the heading.
+     */
+    sensor.inView = function(angle) {
+        var half = this.fov / 2;
+        angle = reduceAngle(this.worldHeading() - angle);
+        return angle <= half || angle >= 2 * Math.PI - half;
+    };
+
+
+    /**
+     * Apply the noise and dropout to a reading.
+     * @param {number} value - The true reading.
+     * @returns The sensed reading, or undefined if it was missed.
+     */
+    sensor.sense = function(value) {
+        if(this.dropout > 0 && Math.random() < this.dropout) {
+            return undefined;
+        }
+        if(this.noise > 0) {
+            value = gaussian(value, this.noise);
+        }
+        return value;
+    };
+
+
+    /**
+     * Take a reading (with updateSensor) at the sensor's frequency.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    sensor.update = function(dt) {
+        var cur = this.parent.world.time;
+
+        //populate the last update (if needed, or if it is left over from
+        //a saved robot)
+        if(this.lastUpdate == undefined || this.lastUpdate > cur) {
+            this.lastUpdate = cur;
+        }
+
+        //compute elapsed simulated time
+        var elapsed = cur - this.lastUpdate;
+
+        // trigger the sensor
+        if(elapsed >= 1 / this.freq - TIME_EPSILON) {
+            this.updateSensor();
+            this.lastUpdate = cur;
+        }
+    };
+}
+
+
+/**
+ * A sensor which computes the range to an object.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function RangeSensor(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "RangeSensor";
+    this.distance = Infinity;
+    this.worldx = 0;
+    this.worldy = 0;
+    this.hitType = null;
+    sensorSettings(this, 5, "meters");
+
+    //the sensor casts a fan of beams across its field of view
+    this.beams = 5;
+    this.beamLines = [];
+    this.doc.settings.push(
+        {name: 'beams', doc: 'How many beams are spread across the field of view.'}
+    );
+
+    this.doc.vars = Array(
+        {name: 'distance', doc: 'The distance to the nearest object in meters (Infinity if there is nothing in range).'},
+        {name: 'hitType', doc: 'The type of object the sensor sees ("Wall", "Box", "Chassis", or "Light"), or null if it sees nothing.'}
+    );
+
+    //the beams are only for drawing, so they are not saved
+    var partToJSON = this.toJSON;
+    this.toJSON = function() {
+        var result = partToJSON.call(this);
+        delete result.beamLines;
+        return result;
+    };
+
+
+    this.updateSensor = function() {
+        var closest = Infinity; 
+        var hitType = null;
+        var world = this.parent.world;
+        var origin = {x: this.worldx, y: this.worldy};
+        var reach = this.range * 60;
+
+        //skip our parent part, and the lights in worlds (like pacman)
+        //which are full of lights we should not see
+        var parent = this.parent;
+        var ignore = function(part) {
+            return part === parent || (!world.rangeSeesLights && part.type == "Light");
+        };
+
+        //cast the beams across the field of view
+        this.beamLines = [];
+        var beams = Math.max(1, Math.round(this.beams));
+        for(var b=0; b < beams; b++) {
+            var angle = this.worldHeading();
+            if(beams > 1) {
+                angle += this.fov * (b / (beams - 1) - 0.5);
+            }
+            var dir = {x: Math.cos(angle), y: Math.sin(angle)};
+
+            //find the first thing the beam hits
+            var hit = world.castRay(origin, dir, ignore);
+            var beamDist = hit.distance;
+            var beamHit = hit.part ? hit.part.type : null;
+
+            //remember the beam for drawing
+            var len = Math.min(beamDist, reach);
+            this.beamLines.push({x1: origin.x, y1: origin.y,
+                                 x2: origin.x + dir.x * len, y2: origin.y + dir.y * len,
+                                 hit: beamDist <= reach});
+
+            //check for being the closest
+            if(beamDist < closest) {
+                closest = beamDist;
+                hitType = beamHit;
+            }
+        }
+
+        //calculate the distance
+        var distance = closest / 60;
+        if(isNaN(distance) || distance > this.range) {
+            distance = Infinity;
+            hitType = null;
+        }
+
+        //a missed reading sees nothing
+        distance = this.sense(distance);
+        if(distance == undefined) {
+            distance = Infinity;
+            hitType = null;
+        }
+        this.distance = Math.max(0, distance);
+        this.hitType = hitType;
+
+        //pass the update into the web worker
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, distance: this.distance, hitType: this.hitType}});
+        }
+    };
+}
+
+
+
+/**
+ * A sensor which determines the intensity of the light reaching it.
+ * Every visible light adds to the intensity, falling off with the square
+ * of its distance and with its angle from the sensor's heading. Walls and
+ * boxes cast shadows. It can also be filtered, which makes it only see one
+ * color of light.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function LightSensor(parent, x, y) {
+
+    Part.call(this, parent, x, y);
+    this.type = "LightSensor"
+    this.worldx = 0;
+    this.worldy = 0;
+    this.intensity = 0;
+    sensorSettings(this, 40, "percent");
+
+    this.doc.vars = Array(
+        {name: 'intensity', doc: 'The intensity of the sensed light (0 to 100).'}
+    );
+
+    this.getRobotLights = function(r) {
+        var lights = [];
+
+        for(var i=0; i<r.parts.length; i++) {
+            if(r.parts[i].type == "Light") {
+                lights.push(r.parts[i]);
+            }
+        }
+
+        return lights;
+    }
+
+
+    this.getWorldLights = function(world) {
+        var lights = [];
+        for(var i=0; i<world.objects.length; i++) {
+            var part = world.objects[i].part;
+
+            if(part.type=="Light") {
+                lights.push(part);
+            }
+        }
+        return lights;
+    }
+
+
+    /**
+     * Is there a wall or box between the sensor and the given point?
+     * @param {*} world - The world the sensor is in.
+     * @param {number} x - The world x coordinate of the point.
+     * @param {number} y - The world y coordinate of the point.
+     * @returns True if the point is in a shadow.
+     */
+    this.shadowed = function(world, x, y) {
+        var dx = x - this.worldx;
+        var dy = y - this.worldy;
+        var dist = Math.sqrt(dx*dx + dy*dy);
+        if(dist == 0) {
+            return false;
+        }
+        var origin = {x: this.worldx, y: this.worldy};
+        var dir = {x: dx / dist, y: dy / dist};
+
+        for(var i=0; i<world.objects.length; i++) {
+            var part = world.objects[i].part;
+            if(part.type != "Wall" && part.type != "Box") {
+                continue;
+            }
+            if(rayView(origin, dir, world.objects[i].view) < dist) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+
+    this.updateSensor = function() {
+        var total = 0;
+        var world = this.parent.world;
+        var lights = this.getWorldLights(world);
+        for(var i=0; i<world.bots.length; i++) {
+            lights = lights.concat(this.getRobotLights(world.bots[i].part));
+        }
+
+        //add up the light from every visible light source
+        for(var i in lights) {
+            var part = lights[i];
+    
+            //we only sense lights
+            if(part.type != "Light") { 
+                continue; 
+            }
+
+            //filter the lighty by our fill color
+            if(this.fill != "white" && part.fill != this.fill) {
+                continue;
+            }
+
+            //calculate displacement to the light
+            var dx = part.worldx - this.worldx;
+            var dy = part.worldy - this.worldy;
+
+            //skip the lights outside of our field of view
+            var angle = Math.atan2(dy, dx);
+            if(!this.inView(angle)) {
+                continue;
+            }
+
+            //calculate the square distance, skipping lights out of range
+            //(range is in meters at 60px per meter, like the other sensors)
+            var dist = dx*dx + dy*dy;
+            var reach = this.range * 60;
+            if(dist > reach * reach) {
+                continue;
+            }
+
+            //skip the lights hidden behind something
+            if(this.shadowed(world, part.worldx, part.worldy)) {
+                continue;
+            }
+
+            //the sensor is most sensitive straight ahead, fading to
+            //nothing at the edge of its field of view
+            var off = Math.abs(reduceAngle(angle - this.worldHeading() + Math.PI) - Math.PI);
+            var sensitivity = this.fov > 0 ? Math.cos(off / this.fov * Math.PI) : 1;
+
+            //the falloff keeps its legacy scale of 20px per meter
+            //=> 400px per meter^2, and 100% intensity at 1 m
+            var brightness = part.brightness == undefined ? 1 : part.brightness;
+            total += brightness * sensitivity * 100 / (dist / 400);
+        }
+
+        this.intensity = total;
+        if(isNaN(this.intensity)) {
+            this.intensity = 0;
+        }
+        if(this.intensity > 100) {
+            this.intensity=100;
+        }
+
+        //a missed reading sees nothing
+        var intensity = this.sense(this.intensity);
+        if(intensity == undefined) {
+            intensity = 0;
+        }
+        this.intensity = Math.min(100, Math.max(0, intensity));
+
+        //pass the update into the web worker
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, intensity: this.intensity}});
+        }
+    };
+
+}
+
+
+
+/**
+ * Check if two robots are on the same team. A robot is always on its own
+ * team, even if it has not joined one.
+ * @param {*} a - The first chassis.
+ * @param {*} b - The second chassis.
+ * @returns True if they are teammates.
+ */
+function sameTeam(a, b) {
+    return a === b || (a.team != null && b != null && a.team == b.team);
+}
+
+
+/**
+ * Find the view of a part among a list of views and their subviews.
+ * @param {*} views - The views to search.
+ * @param {*} part - The part.
+ * @returns The view, or undefined if it is not there.
+ */
+function findPartView(views, part) {
+    for(var i=0; i<views.length; i++) {
+        if(views[i].part === part) {
+            return views[i];
+        }
+        var result = findPartView(views[i].subviews, part);
+        if(result) {
+            return result;
+        }
+    }
+    return undefined;
+}
+
+
+/**
+ * A bumper which is pressed when it touches a wall, a box, or another
+ * robot.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function BumpSensor(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "BumpSensor";
+    this.worldx = 0;
+    this.worldy = 0;
+    this.pressed = false;
+
+    this.doc.vars = Array(
+        {name: 'pressed', doc: 'True when the bumper is touching a wall, a box, or another robot.'}
+    );
+
+
+    this.updateSensor = function() {
+        var world = this.parent.world;
+        var view = findPartView(world.bots, this);
+        if(!view || !view.view.polygon) {
+            return;
+        }
+
+        //things right up against the bumper press it
+        var bumper = growPolygon(view.view.polygon, 1);
+        var obstacles = [];
+        for(var i=0; i<world.objects.length; i++) {
+            var type = world.objects[i].part.type;
+            if(type == "Wall" || type == "Box") {
+                obstacles.push(world.objects[i]);
+            }
+        }
+        for(var i=0; i<world.bots.length; i++) {
+            if(world.bots[i].part !== this.parent && !world.bots[i].part.blowedUp) {
+                obstacles.push(world.bots[i]);
+            }
+        }
+
+        var pressed = false;
+        for(var i=0; i<obstacles.length && !pressed; i++) {
+            pressed = polygonsIntersect(bumper, viewPolygon(obstacles[i].view));
+        }
+
+        //only tell the web worker about changes
+        if(pressed == this.pressed) {
+            return;
+        }
+        this.pressed = pressed;
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, pressed: this.pressed}});
+        }
+    };
+
+
+    this.update = function(dt) {
+        //the bumper is checked on every step so it never misses a bump
+        this.updateSensor();
+    };
+}
+
+
+
+/**
+ * A gyroscope, which estimates how far the robot has turned by adding up
+ * its rate of turn. Like a real gyro, the estimate drifts over time.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Gyro(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Gyro";
+    this.angle = 0;     // the reported heading in degrees
+    this.rate = 0;      // the reported rate of turn in degrees per second
+    this.estimate = 0;  // the heading estimate before reading noise
+    this.drift = 0;     // the error added each second in degrees
+    sensorSettings(this, 0, "degrees");
+
+    //the gyro does not look at anything
+    this.doc.settings = this.doc.settings.filter(function(s) {
+        return s.name != "fov" && s.name != "range";
+    });
+    this.doc.settings.push(
+        {name: 'drift', doc: 'How far the estimate drifts each second in degrees.'}
+    );
+
+    this.doc.functions = Array(
+        {name: 'reset', doc: 'This sets the angle back to 0.', params: Array()}
+    );
+    this.doc.vars = Array(
+        {name: 'angle', doc: 'How far the robot has turned in degrees (clockwise is positive).'},
+        {name: 'rate', doc: 'How fast the robot is turning in degrees per second.'}
+    );
+
+
+    this.updateSensor = function() {
+        var angle = this.sense(this.estimate);
+        if(angle == undefined) {
+            return;
+        }
+        this.angle = angle;
+
+        //pass the update into the web worker
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, angle: this.angle, rate: this.rate}});
+        }
+    };
+
+
+    this.update = function(dt) {
+        var cur = this.parent.world.time;
+
+        //start over in a new run (or with a saved robot)
+        if(this.lastUpdate == undefined || this.lastUpdate > cur) {
+            this.lastUpdate = cur;
+            this.lastHeading = this.parent.heading;
+            this.estimate = 0;
+        }
+
+        //add up the turn since the last step
+        var turn = (this.parent.heading - this.lastHeading) * 180 / Math.PI;
+        this.lastHeading = this.parent.heading;
+        if(dt > 0) {
+            this.rate = turn / dt;
+        }
+        this.estimate += turn + this.drift * dt;
+
+        //compute elapsed simulated time
+        var elapsed = cur - this.lastUpdate;
+
+        // trigger the sensor
+        if(elapsed >= 1 / this.freq - TIME_EPSILON) {
+            this.updateSensor();
+            this.lastUpdate = cur;
+        }
+    };
+
+
+    //reset the angle when we receive a message
+    this.receiveUser = function(message) {
+        if(message.command == "reset") {
+            this.estimate = 0;
+            this.angle = 0;
+        }
+    };
+}
+
+
+
+/**
+ * A compass, which reports which way the robot is facing.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Compass(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Compass";
+    this.bearing = 0;
+    sensorSettings(this, 0, "degrees");
+
+    //the compass does not look at anything
+    this.doc.settings = this.doc.settings.filter(function(s) {
+        return s.name != "fov" && s.name != "range";
+    });
+
+    this.doc.vars = Array(
+        {name: 'bearing', doc: 'The heading of the robot in degrees (0 is along the x axis, 90 is along the y axis).'}
+    );
+
+
+    this.updateSensor = function() {
+        var bearing = reduceAngle(this.worldHeading()) * 180 / Math.PI;
+        bearing = this.sense(bearing);
+        if(bearing == undefined) {
+            return;
+        }
+        this.bearing = ((bearing % 360) + 360) % 360;
+
+        //pass the update into the web worker
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, bearing: this.bearing}});
+        }
+    };
+}
+
+
+/**
+ * A position sensor (like GPS), which reports where the robot is in the
+ * world.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function PositionSensor(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "PositionSensor";
+    this.worldx = 0;
+    this.worldy = 0;
+    this.position = {x: 0, y: 0};
+    sensorSettings(this, 0, "meters");
+
+    //the position sensor does not look at anything
+    this.doc.settings = this.doc.settings.filter(function(s) {
+        return s.name != "fov" && s.name != "range";
+    });
+
+    this.doc.vars = Array(
+        {name: 'position', doc: 'The position of the sensor in the world in meters ({x:, y:}, with y pointing down).'}
+    );
+
+
+    this.updateSensor = function() {
+        //60px per meter
+        var x = this.sense(this.worldx / 60);
+        var y = this.sense(this.worldy / 60);
+        if(x == undefined || y == undefined) {
+            return;
+        }
+        this.position = {x: x, y: y};
+
+        //pass the update into the web worker
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, position: this.position}});
+        }
+    };
+}
+
+
+
+/**
+ * A camera, which sees a row of pixels across its field of view. Each
+ * pixel is the first thing seen in its direction.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Camera(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Camera";
+    this.worldx = 0;
+    this.worldy = 0;
+    this.pixels = [];
+    sensorSettings(this, 5, "meters");
+
+    this.columns = 16;
+    this.doc.settings.push(
+        {name: 'columns', doc: 'How many pixels the camera sees across its field of view.'}
+    );
+
+    this.doc.vars = Array(
+        {name: 'pixels', doc: 'What the camera sees, from left to right. Each pixel has a color, a distance in meters, and a type ("Wall", "Box", "Chassis", or "Light"). The color and type are null and the distance is Infinity when there is nothing there.'}
+    );
+
+
+    this.updateSensor = function() {
+        var world = this.parent.world;
+        var origin = {x: this.worldx, y: this.worldy};
+        var parent = this.parent;
+        var ignore = function(part) {
+            return part === parent;
+        };
+
+        //a missed reading keeps the last picture
+        if(this.dropout > 0 && Math.random() < this.dropout) {
+            return;
+        }
+
+        //look along each column
+        var pixels = [];
+        var columns = Math.max(1, Math.round(this.columns));
+        for(var c=0; c < columns; c++) {
+            var angle = this.worldHeading();
+            if(columns > 1) {
+                angle += this.fov * (c / (columns - 1) - 0.5);
+            }
+            var hit = world.castRay(origin, {x: Math.cos(angle), y: Math.sin(angle)}, ignore);
+
+            var distance = hit.distance / 60;
+            if(!hit.part || distance > this.range) {
+                pixels.push({color: null, distance: Infinity, type: null});
+                continue;
+            }
+            if(this.noise > 0) {
+                distance = Math.max(0, gaussian(distance, this.noise));
+            }
+            pixels.push({color: hit.part.fill, distance: distance, type: hit.part.type});
+        }
+        this.pixels = pixels;
+
+        //pass the update into the web worker
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, pixels: this.pixels}});
+        }
+    };
+}
+
+
+
+/**
+ * A servo, which turns the parts mounted on it (like a range sensor or a
+ * laser turret) independently of the robot.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Servo(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Servo";
+    this.angle = 0;         // the current angle in degrees
+    this.target = 0;        // the angle the servo is turning to
+    this.speed = 180;       // how fast the servo turns in degrees per second
+    this.minAngle = -90;
+    this.maxAngle = 90;
+
+    this.doc.functions = Array(
+        {name: 'setAngle', doc: 'This turns the servo (and the parts mounted on it) to an angle.', params: Array(
+            {name: 'a', doc: 'The angle in degrees (0 is straight ahead, positive turns clockwise).'}
+        )}
+    );
+    this.doc.vars = Array(
+        {name: 'angle', doc: 'The angle the servo has turned to in degrees.'}
+    );
+    this.doc.settings = Array(
+        {name: 'speed', doc: 'How fast the servo turns in degrees per second.'},
+        {name: 'minAngle', doc: 'The smallest angle the servo can turn to in degrees.'},
+        {name: 'maxAngle', doc: 'The largest angle the servo can turn to in degrees.'}
+    );
+
+
+    /**
+     * Set the angle for the servo to turn to.
+     * @param {number} angle - The angle in degrees.
+     */
+    this.setAngle = function(angle) {
+        angle = Number(angle);
+        if(isNaN(angle)) {
+            simulationError("Error: setAngle needs a number of degrees ( ex: servo.setAngle(45) )");
+            return;
+        }
+        this.target = Math.min(this.maxAngle, Math.max(this.minAngle, angle));
+    };
+
+
+    this.update = function(dt) {
+        if(this.angle == this.target) {
+            return;
+        }
+
+        //turn toward the target
+        var change = this.target - this.angle;
+        var limit = this.speed * dt;
+        if(Math.abs(change) > limit) {
+            change = change > 0 ? limit : -limit;
+        }
+        this.angle += change;
+
+        //let the web worker know when we get there
+        if(this.angle == this.target && this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, angle: this.angle}});
+        }
+    };
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        this.setAngle(message.target);
+    };
+}
+
+
+/**
+ * Find the servo a part is mounted on.
+ * @param {*} part - The part.
+ * @returns The servo, or undefined if the part is mounted on the chassis.
+ */
+function mountingServo(part) {
+    if(!part.mount || !part.parent || !part.parent.parts) {
+        return undefined;
+    }
+    for(var i=0; i<part.parent.parts.length; i++) {
+        var p = part.parent.parts[i];
+        if(p.name == part.mount && p.type == "Servo" && p !== part) {
+            return p;
+        }
+    }
+    return undefined;
+}
+
+
+
+/**
+ * A gripper, which picks up the box in front of it and carries it along
+ * with the robot.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Gripper(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Gripper";
+    this.worldx = 0;
+    this.worldy = 0;
+    this.holding = false;
+    this.heldBox = null;    // the box we are carrying
+    this.grip = null;       // where the box is held {x:, y:, heading:}
+
+    this.doc.functions = Array(
+        {name: 'grab', doc: 'This picks up the box touching the gripper.', params: Array()},
+        {name: 'release', doc: 'This puts down the box the gripper is holding.', params: Array()}
+    );
+    this.doc.vars = Array(
+        {name: 'holding', doc: 'True when the gripper is holding a box.'}
+    );
+
+    //the box is in the world, so it is not saved with the robot
+    var partToJSON = this.toJSON;
+    this.toJSON = function() {
+        var result = partToJSON.call(this);
+        delete result.heldBox;
+        delete result.grip;
+        result.holding = false;
+        return result;
+    };
+
+
+    /**
+     * Pick up the box touching the gripper (if there is one).
+     */
+    this.grab = function() {
+        var world = this.parent.world;
+        if(this.heldBox || !world) {
+            return;
+        }
+        var view = findPartView(world.bots, this);
+        if(!view || !view.view.polygon) {
+            return;
+        }
+
+        //find a box right up against the gripper
+        var jaws = growPolygon(view.view.polygon, 2);
+        for(var i=0; i<world.objects.length; i++) {
+            var box = world.objects[i].part;
+            if(box.type != "Box" || world.heldBoxes().indexOf(box) >= 0) {
+                continue;
+            }
+            if(!polygonsIntersect(jaws, viewPolygon(world.objects[i].view))) {
+                continue;
+            }
+
+            //remember where the box is relative to the gripper
+            var heading = this.worldHeading();
+            var dx = box.x - this.worldx;
+            var dy = box.y - this.worldy;
+            this.grip = {
+                x: dx * Math.cos(-heading) - dy * Math.sin(-heading),
+                y: dx * Math.sin(-heading) + dy * Math.cos(-heading),
+                heading: box.heading - heading
+            };
+            this.heldBox = box;
+            box.vx = 0;
+            box.vy = 0;
+            break;
+        }
+        this.report();
+    };
+
+
+    /**
+     * Put down the box we are holding, right where it is.
+     */
+    this.release = function() {
+        this.heldBox = null;
+        this.grip = null;
+        this.report();
+    };
+
+
+    /**
+     * Move the held box along with the gripper.
+     */
+    this.carry = function() {
+        if(!this.heldBox) {
+            return;
+        }
+        var heading = this.worldHeading();
+        var box = this.heldBox;
+        box.x = this.worldx + this.grip.x * Math.cos(heading) - this.grip.y * Math.sin(heading);
+        box.y = this.worldy + this.grip.x * Math.sin(heading) + this.grip.y * Math.cos(heading);
+        box.heading = reduceAngle(heading + this.grip.heading);
+    };
+
+
+    /**
+     * Tell the web worker whether we are holding a box.
+     */
+    this.report = function() {
+        this.holding = this.heldBox != null;
+        if(this.parent.thread) {
+            this.parent.thread.postMessage({type: "update", update: {name: this.name, holding: this.holding}});
+        }
+    };
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        if(message.command == "grab") {
+            this.grab();
+        } else if(message.command == "release") {
+            this.release();
+        }
+    };
+}
+
+
+
+/**
+ * A speaker, which beeps. The world plays the sound through its onbeep
+ * handler.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Speaker(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Speaker";
+    this.frequency = 0;     // the pitch of the current beep (0 when quiet)
+    this.quietTime = 0;     // the world time when the beep ends
+
+    this.doc.functions = Array(
+        {name: 'beep', doc: 'This plays a beep.', params: Array(
+            {name: 'freq', doc: 'The pitch of the beep in hertz (ex: 440).'},
+            {name: 'ms', doc: 'How long the beep lasts in milliseconds.'}
+        )}
+    );
+
+
+    /**
+     * Play a beep.
+     * @param {number} freq - The pitch in hertz.
+     * @param {number} ms - How long the beep lasts in milliseconds.
+     */
+    this.beep = function(freq, ms) {
+        freq = Number(freq);
+        ms = Number(ms);
+        if(isNaN(freq) || isNaN(ms) || freq <= 0 || ms < 0) {
+            simulationError("Error: beep needs a pitch and a time in milliseconds ( ex: speaker.beep(440, 200) )");
+            return;
+        }
+
+        var world = this.parent ? this.parent.world : null;
+        this.frequency = freq;
+        this.quietTime = (world ? world.time : 0) + ms / 1000;
+        if(world && world.onbeep) {
+            world.onbeep(this, freq, ms);
+        }
+    };
+
+
+    /**
+     * Check if the speaker is still beeping.
+     * @returns True while the beep is playing.
+     */
+    this.beeping = function() {
+        var world = this.parent ? this.parent.world : null;
+        return this.frequency > 0 && world != null && world.time < this.quietTime;
+    };
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        if(message.command == "beep") {
+            this.beep(message.freq, message.ms);
+        }
+    };
+}
+
+
+/**
+ * A display, which shows a little bit of text next to the robot.
+ * @param {*} parent 
+ * @param {*} x 
+ * @param {*} y 
+ */
+function Display(parent, x, y) {
+    Part.call(this, parent, x, y);
+    this.type = "Display";
+    this.text = "";
+    this.maxLength = 40;
+
+    //robots start out with a blank display
+    var partToJSON = this.toJSON;
+    this.toJSON = function() {
+        var result = partToJSON.call(this);
+        result.text = "";
+        return result;
+    };
+
+    this.doc.functions = Array(
+        {name: 'print', doc: 'This shows text next to the robot.', params: Array(
+            {name: 'text', doc: 'The text to show (ex: "turning").'}
+        )}
+    );
+    this.doc.vars = Array(
+        {name: 'text', doc: 'The text the display is showing.'}
+    );
+
+
+    /**
+     * Show text on the display.
+     * @param {*} text - The text to show.
+     */
+    this.print = function(text) {
+        text = text == undefined ? "" : String(text);
+        this.text = text.substring(0, this.maxLength);
+    };
+
+
+    /**
+     * Receive a message from the user thread
+     * @param {*} message 
+     */
+    this.receiveUser = function(message) {
+        this.print(message.text);
+    };
+}
+
+
+
+/**
+ * A blast, from a laser. What else would it be?
+ */
+function LaserBlast(x, y, heading, firedBy) {
+    Part.call(this, null, x, y, heading);
+    this.type = "LaserBlast";
+
+    this.outline="red";
+    this.fill="red";
+
+    var speed = 1200;  //pixels per second
+
+    this.dx = speed * Math.cos(heading);
+    this.dy = speed * Math.sin(heading);
+    this.firedBy = firedBy;
+    this.world = firedBy ? firedBy.world : null;
+
+    this.vanish = function() {
+        //take ourselves out of the world objects
+        if(this.world) {
+            this.world.removeObject(this);
+        }
+    }
+
+
+    this.update = function(dt) {
+        this.x += this.dx * dt;
+        this.y += this.dy * dt;
+
+        //vanish when we leave the world
+        if(this.x < 0 || this.x > this.world.width || this.y < 0 || this.y > this.world.height) {
+            this.vanish();
+        }
+    }
+}
+
+
+/**
+ * A frickin' laser beam.
+ */
+function Laser(parent, x, y, heading) {
+    Part.call(this, parent, x, y, heading);
+    this.type = "Laser";
+    this.charged = true;
+    this.lastUpdate = undefined;
+    this.chargeTime = 500;
+
+    this.doc.functions = Array(
+        {name: 'fire', doc: 'This fires the laser beam once.', params: Array()}
+    );
+
+    //fire the laser beam
+    this.fire = function() {
+        // no charge, no pew
+        if(!this.charged) { return; }
+
+        // check that we have ample battery power
+        if(this.parent.laserBattery <= 0) {
+            return;
+        }
+
+        // we can only fire into a world
+        var world = this.parent.world;
+        if(!world) {
+            return;
+        }
+
+        // and the robot's battery has to power the shot
+        if(world.energy && !this.parent.battery.use(world.energy.laser)) {
+            return;
+        }
+
+        //no more power.
+        this.charged = false;
+        this.lastUpdate = world.time;
+
+        //fire!
+        this.parent.depleteLaserBattery(1);
+        var lb = new LaserBlast(this.worldx, this.worldy, this.worldHeading(), this.parent);
+        world.addObject(lb);
+    }
+
+    //update the laser (charge it)
+    this.update = function(dt) {
+        //already charged?
+        if(this.charged) { 
+            return;
+        }
+
+        //chargeTime is in milliseconds of simulated time
+        var cur = this.parent.world.time;
+        if(this.lastUpdate == undefined || this.lastUpdate > cur) {
+            this.lastUpdate = cur;
+        }
+        var elapsed = (cur - this.lastUpdate) * 1000;
+        if(elapsed > this.chargeTime) {
+            this.charged = true;
+            this.lastUpdate = undefined;
+        }
+    }
+
+
+    //fire the laser when we receive a message
+    this.receiveUser = function(obj) {
+        this.fire();
+    }
+}
+
+
+/**
+ * Construct a part from its saved (JSON) form.
+ * @param {*} part - The saved part object.
+ * @returns The part, or undefined if the type is unknown.
+ */
+function finishPart(part) {
+    var result;
+
+    // run the part constructor
+    if(part.type == "Motor") {
+        result = new Motor();
+    } else if(part.type == "Marker") {
+        result = new Marker();
+    } else if(part.type == "Light") {
+        result = new Light();
+    } else if(part.type == "LightSensor") {
+        result = new LightSensor();
+    } else if(part.type == "RangeSensor") {
+        result = new RangeSensor();
+    } else if(part.type == "Wall") {
+        result = new Wall();
+    } else if(part.type == "Box") {
+        result = new Box();
+    } else if(part.type == "Laser") {
+        result = new Laser();
+    } else if(part.type == "LineSensor") {
+        result = new LineSensor();
+    } else if(part.type == "BumpSensor") {
+        result = new BumpSensor();
+    } else if(part.type == "Gyro") {
+        result = new Gyro();
+    } else if(part.type == "Compass") {
+        result = new Compass();
+    } else if(part.type == "PositionSensor") {
+        result = new PositionSensor();
+    } else if(part.type == "Camera") {
+        result = new Camera();
+    } else if(part.type == "Servo") {
+        result = new Servo();
+    } else if(part.type == "Gripper") {
+        result = new Gripper();
+    } else if(part.type == "Speaker") {
+        result = new Speaker();
+    } else if(part.type == "Display") {
+        result = new Display();
+    } else {
+        return undefined;
+    }
+
+    for(var attr in part) {
+        if(attr == "doc") continue;
+        result[attr] = part[attr];
+    }
+
+    return result;
+}
+
+
+/**
+ * Load a saved robot into the chassis.
+ * @param {*} chassis - The chassis to fill in.
+ * @param {string} robotString - The saved robot (JSON).
+ * @returns The chassis.
+ */
+function loadChassis(chassis, robotString) {
+    var obj = JSON.parse(robotString);
+
+    /* grab the attributes (the battery is charged fresh) */
+    for(var attr in obj) {
+        if(attr == "parts" || attr == "battery") { continue; }
+        chassis[attr] = obj[attr];
+    }
+
+    /* handle the motors */
+    chassis.left = finishPart(obj.left);
+    chassis.right = finishPart(obj.right);
+    chassis.left.parent = chassis;
+    chassis.right.parent = chassis;
+
+    /* handle the parts */
+    chassis.parts = [];
+    for(var i=0; i<obj.parts.length; i++) {
+        chassis.addPart(finishPart(obj.parts[i]));
+        chassis.parts[i].parent = chassis;
+    }
+
+    return chassis;
+}
+
+
+/****************************************** 
+ * Utility Functions and Objects
+ ******************************************/
+
+
+function VectorView(x, y, heading, scale, points) {
+    // set up the fields
+    Positionable.call(this, x, y, heading);
+    this.scale = scale != undefined ? scale : 1;
+    this.points = points != undefined ? points : {};
+    this.outline = undefined;
+    this.fill = undefined;
+    this.polygon = [];
+    
+
+    /**
+     * Reset the minx, miny, maxx, and maxy to Infinity and -Infinity
+     */
+    this.resetExtents = function() {
+        //extents of the vector view
+        this.minx = Infinity;
+        this.miny = Infinity;
+        this.maxx = -Infinity;
+        this.maxy = -Infinity;
+    };
+    this.resetExtents();
+
+
+    /**
+     * Compute the polygon and extents of the shape in world coordinates
+     * without drawing it.
+     */
+    this.update = function() {
+        var x;
+        var y;
+        this.polygon = [];
+
+        //reset the extents
+        this.resetExtents();
+
+        //compute rotation coeffecients
+        var sin_th = Math.sin(this.heading);
+        var cos_th = Math.cos(this.heading);
+
+        for(var i in points) {
+            var p = points[i];
+
+            // get the raw point and scale
+            x = p.x * this.scale;
+            y = p.y * this.scale;
+
+            // rotate
+            var rx, ry;
+            rx = x * cos_th - y * sin_th;
+            ry = x * sin_th + y * cos_th;
+            x = rx;
+            y = ry;
+
+            // translate
+            x += this.x;
+            y += this.y;
+
+            // add to the polygon
+            this.polygon.push({x: x, y: y});
+
+            //track extents
+            if(x < this.minx) { this.minx = x; }
+            if(x > this.maxx) { this.maxx = x; }
+            if(y < this.miny) { this.miny = y; }
+            if(y > this.maxy) { this.maxy = y; }
+        }
+    };
+
+
+    // draw the shape
+    this.draw = function(canvas, context) {
+        this.update();
+
+        // skip the blank shapes
+        if(this.polygon.length == 0) {
+            return;
+        }
+
+        context.beginPath();
+        context.moveTo(this.polygon[0].x, this.polygon[0].y);
+        for(var i=1; i < this.polygon.length; i++) {
+            context.lineTo(this.polygon[i].x, this.polygon[i].y);
+        }
+        context.closePath();
+
+        // set the colors, if needed
+        if(this.outline) {
+            context.strokeStyle = this.outline;
+        } 
+        if(this.fill) {
+            context.fillStyle = this.fill;
+        }
+        
+        //draw the path
+        context.fill();
+        context.stroke();
+    };
+
+
+    /**
+     * Determines if the point (x,y) is within the extents of the view.
+     * @param {*} x - x coordinate 
+     * @param {*} y - y coordinate
+     * @returns true if (x,y) is inside this view, false otherwise.
+     */
+    this.encloses = function(x, y) {
+        return x >= this.minx && x <= this.maxx &&
+               y >= this.miny && y <= this.maxy;
+    }
+}
+
+
+/**
+ * Construct a view for the given part. It works by calling the correct
+ * constructor for the part.
+ * @param {*} part 
+ * @returns The newly constructed part. Returns undefined for parts with no known view.
+ */
+function constructView(part) {
+    if(part.type == "Chassis") {
+        return new ChassisView(part);
+    } else if(part.type == "Motor") {
+        return new MotorView(part);
+    } else if(part.type == "Marker") {
+        return new MarkerView(part);
+    } else if(part.type == "Light") {
+        return new LightView(part);
+    } else if(part.type == "LightSensor") {
+        return new LightSensorView(part);
+    } else if(part.type == "RangeSensor") {
+        return new RangeSensorView(part);
+    } else if(part.type == "Wall") {
+        return new WallView(part);
+    } else if(part.type == "Box") {
+        return new BoxView(part); 
+    } else if(part.type == "LaserBlast") {
+        return new LaserBlastView(part);
+    } else if(part.type == "Laser") {
+        return new LaserView(part);
+    } else if(part.type == "LineSensor") {
+        return new LineSensorView(part);
+    } else if(part.type == "BumpSensor") {
+        return new BumpSensorView(part);
+    } else if(part.type == "Gyro") {
+        return new GyroView(part);
+    } else if(part.type == "Compass") {
+        return new CompassView(part);
+    } else if(part.type == "PositionSensor") {
+        return new PositionSensorView(part);
+    } else if(part.type == "Camera") {
+        return new CameraView(part);
+    } else if(part.type == "Servo") {
+        return new ServoView(part);
+    } else if(part.type == "Gripper") {
+        return new GripperView(part);
+    } else if(part.type == "Speaker") {
+        return new SpeakerView(part);
+    } else if(part.type == "Display") {
+        return new DisplayView(part);
+    }
+    // we don't know how to show this part.
+    return undefined;
+}
+
+
+function PartView(part) {
+    // Construct the positionable parts of ourselves
+    Positionable.call(this, part.x, part.y, part.heading);
+
+    // Every PartView has a vector view
+    this.view = null;
+
+    // Scale the view
+    this.scale = 1;
+
+    // We also need a list of sub views 
+    this.subviews = [];
+    this.addSubview = function(view) {
+        view.reOrigin();
+        this.subviews.push(view);
+    }
+
+    // remember the part we are viewing!
+    this.part = part;
+
+    /**
+     * Update the geometry of the part along with all of its subparts
+     * without drawing them. The simulator calls this every physics step
+     * so collisions see the current pose.
+     */
+    this.update = function() {
+        // unparented parts are in the world
+        if(!this.part.parent) {
+            this.x = this.part.x;
+            this.y = this.part.y;
+            this.heading = this.part.heading;
+        }
+
+        // update the base view (if it exists)
+        if(this.view) {
+            this.view.x = this.x;
+            this.view.y = this.y;
+            this.view.heading = this.heading;
+            this.view.scale = this.scale;
+            this.view.update();
+            part.worldx = (this.view.minx + this.view.maxx)/2;
+            part.worldy = (this.view.miny + this.view.maxy)/2;
+        }
+
+        // update each subview offset to its mount's pose
+        for(var i = 0; i < this.subviews.length; i++) {
+            var v = this.subviews[i];
+            var pose = this.mountPose(v.part);
+            v.x = pose.x;
+            v.y = pose.y;
+            v.face(pose.heading);
+            v.scale = this.scale;
+            v.update();
+        }
+    };
+
+
+    /**
+     * Draw the part along with all of its subparts.
+     * @param {*} canvas - The canvas to draw on.
+     * @param {*} context - The context to draw on.
+     */
+    this.draw = function(canvas, context) {
+        // unparented parts are in the world (but not necessarily of
+        // it!)
+        if(!this.part.parent) {
+            this.x = this.part.x;
+            this.y = this.part.y;
+            this.heading = this.part.heading;
+        }
+
+        // set the color
+        this.view.outline = this.part.outline;
+        this.view.fill = this.part.fill;
+
+        // draw the base view (if it exists)
+        if(this.view) {
+            this.view.x = this.x;
+            this.view.y = this.y;
+            this.view.heading = this.heading;
+            this.view.scale = this.scale;
+            this.view.draw(canvas, context);
+            part.worldx = (this.view.minx + this.view.maxx)/2;
+            part.worldy = (this.view.miny + this.view.maxy)/2;
+        }
+
+        // draw each subviews offset to its mount's pose
+        for(var i = 0; i < this.subviews.length; i++) {
+            var v = this.subviews[i];
+            var pose = this.mountPose(v.part);
+            v.x = pose.x;
+            v.y = pose.y;
+            v.face(pose.heading);
+            v.scale = this.scale;
+            v.draw(canvas, context);
+        }
+    };
+
+
+    /**
+     * Find the pose of a subpart. Parts mounted on a servo swing around
+     * the servo by its angle, the rest share this view's pose.
+     * @param {*} subpart - The subpart.
+     * @returns The pose {x:, y:, heading:}
+     */
+    this.mountPose = function(subpart) {
+        var servo = mountingServo(subpart);
+        if(!servo) {
+            return {x: this.x, y: this.y, heading: this.heading};
+        }
+
+        //the servo's pivot stays put as the part swings around it
+        var a = servo.angle * Math.PI / 180;
+        var dx = servo.x - (servo.x * Math.cos(a) - servo.y * Math.sin(a));
+        var dy = servo.y - (servo.x * Math.sin(a) + servo.y * Math.cos(a));
+        var sin_th = Math.sin(this.heading);
+        var cos_th = Math.cos(this.heading);
+        return {
+            x: this.x + (dx * cos_th - dy * sin_th) * this.scale,
+            y: this.y + (dx * sin_th + dy * cos_th) * this.scale,
+            heading: this.heading + a
+        };
+    };
+
+    
+    /**
+     * Shift the part's origin to its x,y and set its position to 0,0.
+     */
+    this.reOrigin = function() {
+        //compute rotation coeffecients
+        var sin_th = Math.sin(this.heading);
+        var cos_th = Math.cos(this.heading);
+
+        for(var i=0; i < this.view.points.length; i++) {
+            var p = this.view.points[i];
+            var rx, ry;
+            rx = p.x * cos_th - p.y * sin_th;
+            ry = p.x * sin_th + p.y * cos_th;
+            p.x = rx + this.x;
+            p.y = ry + this.y;
+        }
+
+        this.heading = 0;
+        this.view.heading = 0;
+        this.view.x = 0;
+        this.view.y = 0;
+        this.x = 0;
+        this.y = 0;
+    };
+
+
+    /**
+     * Move the part to x, y (in part coordinates)
+     * @param {*} x 
+     * @param {*} y 
+     */
+    this.moveTo = function(x, y) {
+        var dx = x - this.part.x;
+        var dy = y - this.part.y;
+
+        // Move all the points in the view
+        for(var i=0; i < this.view.points.length; i++) {
+            var p = this.view.points[i];
+            p.x += dx;
+            p.y += dy;
+        }
+
+        // move the part position
+        this.part.x = x;
+        this.part.y = y;
+    }
+
+
+    /**
+     * Convert a global coordinate to a part view coordinate. 
+     * @param {*} x 
+     * @param {*} y 
+     * @returns Location object {x:, y:}
+     */
+    this.globalToPartLoc = function(x, y) {
+        var sin_th = Math.sin(-this.heading);
+        var cos_th = Math.cos(-this.heading);
+        var result = {};
+
+        x /= this.scale;
+        y /= this.scale;
+        x -= this.x / this.scale;
+        y -= this.y / this.scale;
+
+        result.x = x * cos_th - y * sin_th;
+        result.y = x * sin_th + y * cos_th;
+
+        return result;
+    };
+}
+
+
+/**
+ * Constructor for the chassis view object. This visualizes an entire 
+ * robot. 
+ * @param {*} part - The chassis part
+ */
+function ChassisView(part) {
+    // initialize the partview
+    PartView.call(this, part);
+
+    // add the motors to the subview list.
+    this.addSubview(constructView(part.left));
+    this.addSubview(constructView(part.right));
+
+    //add the other parts to the view
+    for(var i=0; i<part.parts.length; i++) {
+        this.addSubview(constructView(part.parts[i]));
+    }
+
+    //create my vector view
+    var points = [
+        {x: -10, y: -6},
+        {x: 10, y: -6},
+        {x: 10, y: 6},
+        {x: -10, y: 6},
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+
+
+    //remember the base version
+    //this.partDraw = this.draw;
+
+    /**
+     * Update for the movement of the model and then draw.
+     * @param {*} canvas 
+     * @param {*} context 
+     */
+    /*this.draw = function(canvas, context) {
+        //copy the chassis pose
+        this.x = this.part.x;
+        this.y = this.part.y;
+        this.heading = this.part.heading;
+
+        //draw like normal
+        this.partDraw(canvas, context); 
+    }*/
+
+
+    /**
+     * Add a part to the view
+     * @param {*} part 
+     */
+    this.addPart = function(part) {
+        this.addSubview(constructView(part));
+    }
+}
+
+
+function ChassisBuildView(part) {
+    ChassisView.call(this, part);
+
+    // This view has a fixed position and heading
+    this.x = 400;
+    this.y = 300;
+    this.scale=30; //it's also big!
+    this.heading = -Math.PI/2;
+
+    this.partDraw = this.draw;
+    this.draw = function(canvas, context) {
+        // remember the real location
+        var x = this.part.x;
+        var y = this.part.y;
+        var heading = this.part.heading;
+
+        // shift the robot
+        this.part.x = this.x;
+        this.part.y = this.y;
+        this.part.heading = this.heading;
+
+        //draw the robot
+        this.partDraw(canvas, context);
+
+        // restore the robot position
+        this.part.x = x;
+        this.part.y = y;
+        this.part.heading = heading;
+    }
+}
+
+
+/**
+ * constructor for the motor view object. This visualizes a motor.
+ * @param {*} part - The motor part 
+ */
+function MotorView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+
+    //create my vector view
+    var points = [
+        {x: -3, y: -1},
+        {x: 3, y: -1},
+        {x: 3, y: 1},
+        {x: -3, y: 1},
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+/**
+ * constructor for the marker view object. This visualizes a marker.
+ * @param {*} part - The motor part 
+ */
+function MarkerView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -1, y: -1.5},
+        {x: 1, y: -1.5},
+        {x: -1, y: 1.5},
+        {x: 1, y: 1.5},
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+
+    //store the original draw
+    this.drawPart = this.draw;
+
+    this.draw = function(canvas, context) {
+        if(part.penDrawing) {
+            part.fill = part.color;
+        } else {
+            part.fill = "#00000000";
+        }
+        part.outline = part.color;
+        this.drawPart(canvas, context);
+
+        //NOTE: The lines the marker draws are collected by the world as
+        //      it steps, see World.trails.
+    }
+}
+
+
+/**
+ * Construct a light view.
+ * @param {*} part 
+ */
+function LightView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+
+    //create the actual drawing part
+    var points = [ {x: 0, y: 0} ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.outline = "black";
+    this.view.radius=part.radius;
+    this.view.update = function() {
+        var sin_th = Math.sin(this.heading);
+        var cos_th = Math.cos(this.heading);
+        var x = this.points[0].x * this.scale;
+        var y = this.points[0].y * this.scale;
+        var rx, ry;
+        rx = x * cos_th - y * sin_th;
+        ry = x * sin_th + y * cos_th;
+        x = rx + this.x;
+        y = ry + this.y;
+        this.polygon = [{x: x, y: y}];
+
+        //set the extents
+        this.minx = x - this.radius * this.scale;
+        this.maxx = x + this.radius * this.scale;
+        this.miny = y - this.radius * this.scale;
+        this.maxy = y + this.radius * this.scale;
+    };
+    this.view.draw = function(canvas, context) {
+        this.update();
+        var x = this.polygon[0].x;
+        var y = this.polygon[0].y;
+
+        //draw the arch
+        context.beginPath();
+        context.arc(x, y, this.radius * this.scale, 0, 2 * Math.PI);
+        context.fillStyle = this.fill;
+        context.strokeStyle = this.outline;
+        context.fill();
+        context.stroke();
+    }
+
+    //handle world-centric drawing
+    if(!part.parent) {
+        this.partDraw = this.draw;
+        this.draw = function(canvas, context) {
+            this.x = part.x;
+            this.y = part.y;
+            this.partDraw(canvas, context);
+        };
+    }
+
+}
+
+
+function LightSensorView(part) {
+    PartView.call(this, part);
+
+    //points for the light sensor
+    var points = [ {x:0.5, y:-1},
+                   {x:-0.5, y:-1},
+                   {x:-0.5, y:1},
+                   {x:0.5, y:1} ];
+    this.view = new VectorView(this.x, this.y, this.heading, this.scale, points);
+
+    // a little custom drawing action
+    this.partDraw = this.draw;
+    this.draw = function(canvas, context) {
+        var outline = part.outline;
+        part.outline = part.fill;
+        part.worldx = (this.view.minx + this.view.maxx)/2;
+        part.worldy = (this.view.miny + this.view.maxy)/2;
+
+        //draw the filter
+        this.partDraw(canvas, context);
+
+        part.outline = outline;
+
+        //compute rotation coeffecients
+        var sin_th = Math.sin(this.heading);
+        var cos_th = Math.cos(this.heading);
+
+        //draw the actual part outline.
+        context.beginPath();
+        var started = false;
+        for(var i=0; i<this.view.points.length; i++ ) {
+            var p = this.view.points[i];
+            var x = p.x * this.scale;
+            var y = p.y * this.scale;
+
+            // rotate
+            var rx, ry;
+            rx = x * cos_th - y * sin_th;
+            ry = x * sin_th + y * cos_th;
+            x = rx;
+            y = ry;
+
+            // translate
+            x += this.x;
+            y += this.y;
+
+            //plot the point
+            if(!started) {
+                context.moveTo(x, y);
+                started = true;
+            } else {
+                context.lineTo(x, y);
+            }
+        }
+
+        context.strokeStyle = this.part.outline;
+        context.stroke();
+    }
+}
+
+
+
+/**
+ * Should range sensor views draw their beams? (For debugging.)
+ */
+var drawSensorBeams = false;
+
+
+/**
+ * constructor for the range sensor view object. This visualizes a marker.
+ * @param {*} part - The motor part 
+ */
+function RangeSensorView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -0.5, y: -2.5},
+        {x:  0, y: -2.5},
+        {x:  0, y: -1.5},
+        {x:  1, y: -1.5},
+        {x:  1, y: -0.5},
+        {x:  0, y: -0.5},
+        {x:  0, y:  0.5},
+        {x:  1, y:  0.5},
+        {x:  1, y:  1.5},
+        {x:  0, y:  1.5},
+        {x:  0, y:  2.5},
+        {x: -0.5, y:  2.5}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+
+
+    // a little custom drawing action
+    this.partDraw = this.draw;
+    this.draw = function(canvas, context) {
+        //report world coordinates
+        part.worldx = (this.view.minx + this.view.maxx)/2;
+        part.worldy = (this.view.miny + this.view.maxy)/2;
+
+        //draw the filter
+        this.partDraw(canvas, context);
+
+        //draw the beams (they are in world coordinates, so only when
+        //we are drawn in the world)
+        var world = part.parent ? part.parent.world : null;
+        if(drawSensorBeams && world && this.scale == world.scale && part.beamLines) {
+            for(var i=0; i < part.beamLines.length; i++) {
+                var b = part.beamLines[i];
+                context.beginPath();
+                context.moveTo(b.x1, b.y1);
+                context.lineTo(b.x2, b.y2);
+                context.strokeStyle = b.hit ? "red" : "lightgray";
+                context.stroke();
+            }
+        }
+    }
+}
+
+/**
+ * constructor for the line sensor view object.
+ * @param {*} part - The LineSensor Part
+ */
+function LineSensorView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: 1, y: 1.5},
+        {x: -1, y: 1.5},
+        {x: -1, y: -1.5},
+        {x: 1, y: -1.5},
+        {x: 0.5, y: 0.0}
+    ]; 
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+/**
+ * constructor for the bump sensor view object. The bumper turns red
+ * when it is pressed.
+ * @param {*} part - The BumpSensor Part
+ */
+function BumpSensorView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -0.5, y: -3},
+        {x: 0.5, y: -3},
+        {x: 0.5, y: 3},
+        {x: -0.5, y: 3}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+
+    //store the original draw
+    this.drawPart = this.draw;
+
+    this.draw = function(canvas, context) {
+        var fill = part.fill;
+        if(part.pressed) {
+            part.fill = "red";
+        }
+        this.drawPart(canvas, context);
+        part.fill = fill;
+    }
+}
+
+
+/**
+ * constructor for the gyro view object.
+ * @param {*} part - The Gyro Part
+ */
+function GyroView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -1.5, y: -1.5},
+        {x: 1.5, y: -1.5},
+        {x: 1.5, y: 1.5},
+        {x: 0, y: 0.5},
+        {x: -1.5, y: 1.5}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+/**
+ * constructor for the compass view object. It points the way the
+ * compass reads.
+ * @param {*} part - The Compass Part
+ */
+function CompassView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: 2, y: 0},
+        {x: -1.5, y: 1.5},
+        {x: -0.5, y: 0},
+        {x: -1.5, y: -1.5}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+/**
+ * constructor for the position sensor view object.
+ * @param {*} part - The PositionSensor Part
+ */
+function PositionSensorView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -1.5, y: -1.5},
+        {x: 0, y: -2.5},
+        {x: 1.5, y: -1.5},
+        {x: 1.5, y: 1.5},
+        {x: -1.5, y: 1.5}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+/**
+ * constructor for the camera view object.
+ * @param {*} part - The Camera Part
+ */
+function CameraView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -1.5, y: -1.5},
+        {x: 0.5, y: -1.5},
+        {x: 1.5, y: -2.5},
+        {x: 1.5, y: 2.5},
+        {x: 0.5, y: 1.5},
+        {x: -1.5, y: 1.5}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+/**
+ * constructor for the servo view object.
+ * @param {*} part - The Servo Part
+ */
+function ServoView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -1.5, y: -2},
+        {x: 1.5, y: -2},
+        {x: 1.5, y: 2},
+        {x: -1.5, y: 2}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+/**
+ * constructor for the gripper view object. The gripper darkens when it
+ * is holding a box.
+ * @param {*} part - The Gripper Part
+ */
+function GripperView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -0.5, y: -4},
+        {x: 0.5, y: -4},
+        {x: 0.5, y: 4},
+        {x: -0.5, y: 4}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+
+    //store the original draw
+    this.drawPart = this.draw;
+
+    this.draw = function(canvas, context) {
+        var fill = part.fill;
+        if(part.heldBox) {
+            part.fill = "gray";
+        }
+        this.drawPart(canvas, context);
+        part.fill = fill;
+    }
+}
+
+
+/**
+ * constructor for the speaker view object. The speaker lights up while
+ * it is beeping.
+ * @param {*} part - The Speaker Part
+ */
+function SpeakerView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -1.5, y: -1},
+        {x: 0, y: -2},
+        {x: 0, y: 2},
+        {x: -1.5, y: 1}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+
+    //store the original draw
+    this.drawPart = this.draw;
+
+    this.draw = function(canvas, context) {
+        var fill = part.fill;
+        if(part.beeping()) {
+            part.fill = "yellow";
+        }
+        this.drawPart(canvas, context);
+        part.fill = fill;
+    }
+}
+
+
+/**
+ * constructor for the display view object. The text is drawn upright
+ * beside the robot so it can be read no matter which way the robot faces.
+ * @param {*} part - The Display Part
+ */
+function DisplayView(part) {
+    //initialize the part view
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -1.5, y: -2.5},
+        {x: 1.5, y: -2.5},
+        {x: 1.5, y: 2.5},
+        {x: -1.5, y: 2.5}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+
+    //store the original draw
+    this.drawPart = this.draw;
+
+    this.draw = function(canvas, context) {
+        this.drawPart(canvas, context);
+        if(!part.text || !part.parent) {
+            return;
+        }
+
+        //write the text just above and to the right of the display
+        var x = this.view.maxx + 2 * this.scale;
+        var y = this.view.miny - 2 * this.scale;
+        context.save();
+        context.font = (6 * this.scale) + "px sans-serif";
+        context.textBaseline = "bottom";
+        context.lineWidth = 3;
+        context.strokeStyle = "white";
+        context.fillStyle = "black";
+        context.strokeText(part.text, x, y);
+        context.fillText(part.text, x, y);
+        context.restore();
+    }
+}
+
+
+/**
+ * Display the wall in all of its rectangular glory!
+ * @param {*} part 
+ */
+
+function WallView(part) {
+    if (!part.resizeFactor){
+        part.resizeFactor = 1;
+    }
+    if (!part.resizeFactorHeight){
+        part.resizeFactorHeight = 1;
+    }
+    if (!part.resizeFactorWidth){
+        part.resizeFactorWidth = 1;
+    }
+    PartView.call(this, part);
+
+    //create my vector view
+    if(part.rotated == true){
+        var points = [
+            {x: -10 * part.resizeFactor, y: -5 * part.resizeFactor},
+            {x: 10 * part.resizeFactorHeight, y: -5 * part.resizeFactor},
+            {x: 10 * part.resizeFactorHeight, y: 5 * part.resizeFactorWidth},
+            {x: -10 * part.resizeFactor, y: 5 * part.resizeFactorWidth},
+        ];
+    }
+    if(part.rotated == false){
+        var points = [
+            {x: -5 * part.resizeFactor, y: -10 * part.resizeFactorHeight},
+            {x: 5 * part.resizeFactorWidth, y: -10 * part.resizeFactorHeight},
+            {x: 5 * part.resizeFactorWidth, y: 10 * part.resizeFactor},
+            {x: -5 * part.resizeFactor, y: 10 * part.resizeFactor},
+        ];
+    }
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+
+/**
+ * Display the box!
+ * @param {*} part 
+ */
+function BoxView(part) {
+    if (!part.resizeFactor){
+        part.resizeFactor = 1;
+    }
+    PartView.call(this, part);
+
+     //create my vector view
+    var points = [
+        {x: -8 * part.resizeFactor, y: -8 * part.resizeFactor},
+        {x: 8 * part.resizeFactor, y: -8 * part.resizeFactor},
+        {x: 8 * part.resizeFactor, y: 8 * part.resizeFactor},
+        {x: -8 * part.resizeFactor, y: 8 * part.resizeFactor},
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+    this.view.fill = "white";
+    this.view.stroke = "black"
+}
+
+
+/**
+ * Display the laser blast
+ * @param {*} part 
+ */
+function LaserBlastView(part) {
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -10, y:-1},
+        {x: 0, y: -1}, 
+        {x: 0, y: 1}, 
+        {x: -10, y:1},
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+}
+
+
+/**
+ * Display the laser.
+ * @param {*} part
+ */
+function LaserView(part) {
+    PartView.call(this, part);
+
+    //create my vector view
+    var points = [
+        {x: -3, y: 1.5 },
+        {x: 1.0, y: 1.5 },
+        {x: 1.0, y: 0.5 },
+        {x: 3, y: 0.5 },
+        {x: 3, y: -0.5 },
+        {x: 1.0, y:-0.5},
+        {x: 1.0, y: -1.5},
+        {x: -3, y: -1.5}
+    ];
+    this.view = new VectorView(part.x, part.y, part.heading, 1.0, points);
+}
+
+
+
+/****************************************** 
+ * The World
+ ******************************************/
+
+/**
+ * The length of one physics step in simulated seconds.
+ */
+const PHYSICS_STEP = 1/120;
+
+
+/**
+ * The simulated world. The robots are kept as chassis views in bots, and
+ * everything else (walls, boxes, lights and laser blasts) as part views
+ * in objects. Calling step(dt) advances the whole world by dt simulated
+ * seconds.
+ * @param {number} width - Width of the world in pixels.
+ * @param {number} height - Height of the world in pixels.
+ */
+function World(width, height) {
+    this.width = width != undefined ? width : 800;
+    this.height = height != undefined ? height : 600;
+
+    // what happens at the edge of the world: 'toroidal' or 'infinite'
+    this.mode = "toroidal";
+
+    // everything in the world is shown at this scale
+    this.scale = 2;
+
+    // the simulation clock, in seconds
+    this.time = 0;
+
+    // the contents of the world
+    this.bots = [];
+    this.objects = [];
+
+    // line segments drawn by markers that have not been painted yet
+    // {x1:, y1:, x2:, y2:, color:}
+    this.trails = [];
+
+    // the rules of the world
+    this.rangeSeesLights = true;
+    this.pushBoxes = true;
+
+    // how many times to go over the contacts when separating bodies
+    this.contactPasses = 4;
+
+    // the boxes the robots are touching {bot:, box:}
+    this.boxContacts = [];
+
+    // called when a robot touches a box or a light: function(botView, view)
+    this.oncontact = null;
+
+    // the robots' energy budget: how much energy a battery holds (0 for
+    // batteries which never run down) and how much the parts draw. The
+    // motors and lights draw per second at full power, the lasers per shot.
+    this.energy = {
+        capacity: 0,
+        motor: 1,
+        light: 0.2,
+        laser: 2
+    };
+
+    // looks up the color of the ground at a point: function(x, y) giving
+    // {r:, g:, b:} (the ground is white when there is no function)
+    this.ground = null;
+
+
+    /**
+     * Set the robots in the world.
+     * @param {*} views - An array of chassis views.
+     */
+    this.setBots = function(views) {
+        this.bots = views;
+        for(var i=0; i < views.length; i++) {
+            views[i].scale = this.scale;
+            views[i].part.world = this;
+        }
+    };
+
+
+    /**
+     * Add an object to the world.
+     * @param {*} part - The part to add.
+     * @returns The view of the part.
+     */
+    this.addObject = function(part) {
+        var view = constructView(part);
+        view.scale = this.scale;
+        part.world = this;
+        this.objects.push(view);
+        return view;
+    };
+
+
+    /**
+     * Remove an object from the world.
+     * @param {*} part - The part to remove.
+     */
+    this.removeObject = function(part) {
+        for(var i=0; i < this.objects.length; i++) {
+            if(this.objects[i].part === part) {
+                this.objects.splice(i, 1);
+                return;
+            }
+        }
+    };
+
+
+    /**
+     * Bring the geometry of everything in the world up to date.
+     */
+    this.update = function() {
+        for(var i=0; i < this.bots.length; i++) {
+            this.bots[i].scale = this.scale;
+            this.bots[i].update();
+        }
+        for(var i=0; i < this.objects.length; i++) {
+            this.objects[i].scale = this.scale;
+            this.objects[i].update();
+        }
+    };
+
+
+    /**
+     * Handle a robot reaching the edge of the world.
+     * @param {*} chassis - The robot's chassis.
+     */
+    this.wrap = function(chassis) {
+        switch(this.mode) {
+            case 'toroidal':
+                var wxmax = this.width + 40;
+                var wymax = this.height + 40;
+                
+                // lift the markers while we are off the edge so we do not
+                // draw a line across the world when we wrap around
+                var offEdge = chassis.x <= -30 || chassis.x >= this.width + 30 ||
+                              chassis.y <= -30 || chassis.y >= this.height + 30;
+                for(var i=0; i < chassis.parts.length; i++) {
+                    var p = chassis.parts[i];
+                    if(p.type != 'Marker') {
+                        continue;
+                    }
+                    if(offEdge && p.penDrawing) {
+                        p.penUp();
+                        p.liftedAtEdge = true;
+                    } else if(!offEdge && p.liftedAtEdge) {
+                        p.penDown();
+                        p.liftedAtEdge = false;
+                    }
+                }
+
+                if(chassis.x <= -40) {
+                    chassis.x = wxmax-1;
+                }
+                if(chassis.y <= -40) {
+                    chassis.y = wymax-1;
+                }
+                if(chassis.x >= wxmax) {
+                    chassis.x -= wxmax;
+                }
+                if(chassis.y >= wymax) {
+                    chassis.y -= wymax;
+                }
+                break;
+            case 'infinite':
+                // robots are free to wander off
+                break;
+        }
+    };
+
+
+    /**
+     * Move a body out of a contact.
+     * @param {*} body - The body to move {view:, part:, mass:, bot:}.
+     * @param {number} dx - distance to move in x
+     * @param {number} dy - distance to move in y
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.moveBody = function(body, dx, dy, dt) {
+        if(body.bot) {
+            body.part.x += dx;
+            body.part.y += dy;
+            this.moveHeld(body, dx, dy);
+        } else {
+            body.part.push(dx, dy, dt);
+        }
+        body.view.update();
+    };
+
+
+    /**
+     * Push two bodies apart, sharing the push between them by their
+     * masses. Body b may be null, in which case a is pushed out of a wall.
+     * @param {*} a - The first body.
+     * @param {*} b - The second body (or null for a wall).
+     * @param {*} c - The contact {x:, y:, depth:} pushing a out of b.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.separate = function(a, b, c, dt) {
+        if(!b) {
+            //walls do not budge
+            a.part.x += c.x * c.depth;
+            a.part.y += c.y * c.depth;
+            a.view.update();
+            if(a.bot) {
+                a.part.collided = true;
+                this.moveHeld(a, c.x * c.depth, c.y * c.depth);
+            } else {
+                a.part.stopAlong(-c.x, -c.y);
+            }
+            return;
+        }
+
+        var share = b.mass / (a.mass + b.mass);
+        this.moveBody(a, c.x * c.depth * share, c.y * c.depth * share, dt);
+        this.moveBody(b, -c.x * c.depth * (1-share), -c.y * c.depth * (1-share), dt);
+
+        //running into boxes is not a collision
+        if(a.bot && b.bot) {
+            a.part.collided = true;
+            b.part.collided = true;
+        }
+    };
+
+
+    /**
+     * Keep track of which boxes the robots are touching, and report the
+     * robots running into them.
+     * @param {*} boxes - The views of the boxes.
+     */
+    this.trackBoxContacts = function(boxes) {
+        var touching = [];
+
+        for(var i=0; i < this.bots.length; i++) {
+            var bot = this.bots[i].part;
+            for(var j=0; j < boxes.length; j++) {
+                var box = boxes[j].part;
+                if(!collision(this.bots[i].view, boxes[j].view)) {
+                    continue;
+                }
+                touching.push({bot: bot, box: box});
+
+                //is this a new contact?
+                var known = this.boxContacts.some(function(t) {
+                    return t.bot === bot && t.box === box;
+                });
+                if(!known && this.oncontact) {
+                    this.oncontact(this.bots[i], boxes[j]);
+                }
+            }
+        }
+
+        this.boxContacts = touching;
+    };
+
+
+    /**
+     * Push the robots and boxes out of the walls and each other. Each body
+     * is moved back along the contact normal, so it keeps any motion along
+     * a wall (sliding) and is free to drive away. Bodies which run into
+     * each other share the push by their masses, which is how robots
+     * push boxes around.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.resolveContacts = function(dt) {
+        var walls = [];
+        var boxes = [];
+        var bodies = [];
+        var held = this.heldBoxes();
+        var heldViews = [];
+
+        var wasCollided = [];
+        for(var i=0; i < this.bots.length; i++) {
+            var bot = this.bots[i].part;
+            wasCollided.push(bot.collided);
+            bot.collided = false;
+            this.bots[i].update();
+        }
+
+        //held boxes start where the robots have carried them
+        this.carryBoxes();
+
+        for(var i=0; i < this.objects.length; i++) {
+            var obj = this.objects[i];
+            if(obj.part.type == "Wall") {
+                walls.push(obj);
+            } else if(obj.part.type == "Box" && held.indexOf(obj.part) < 0) {
+                obj.update();
+                boxes.push(obj);
+            } else if(obj.part.type == "Box") {
+                //held boxes go where they are carried
+                obj.update();
+                heldViews.push(obj);
+            }
+        }
+
+        for(var i=0; i < this.bots.length; i++) {
+            var bot = this.bots[i].part;
+            if(!bot.blowedUp) {
+                bodies.push({view: this.bots[i], part: bot, mass: bot.mass, bot: true,
+                             held: this.carriedBy(bot, heldViews)});
+            }
+        }
+
+        this.trackBoxContacts(boxes);
+
+        //boxes stay put when they are not to be pushed
+        if(this.pushBoxes) {
+            for(var i=0; i < boxes.length; i++) {
+                bodies.push({view: boxes[i], part: boxes[i].part, mass: boxes[i].part.mass, bot: false, held: []});
+            }
+        }
+
+        for(var pass=0; pass < this.contactPasses; pass++) {
+            var moved = false;
+
+            for(var i=0; i < bodies.length; i++) {
+                var a = bodies[i];
+
+                //bodies against walls
+                for(var j=0; j < walls.length; j++) {
+                    var c = contact(a.view.view, walls[j].view);
+                    if(c) {
+                        this.separate(a, null, c, dt);
+                        moved = true;
+                    }
+
+                    //the boxes a robot carries push it back from walls
+                    for(var k=0; k < a.held.length; k++) {
+                        c = contact(a.held[k].view, walls[j].view);
+                        if(c) {
+                            this.separate(a, null, c, dt);
+                            moved = true;
+                        }
+                    }
+                }
+
+                //bodies against each other
+                for(var j=i+1; j < bodies.length; j++) {
+                    var c = contact(a.view.view, bodies[j].view.view);
+                    if(c) {
+                        this.separate(a, bodies[j], c, dt);
+                        moved = true;
+                    }
+                }
+            }
+
+            if(!moved) { break; }
+        }
+
+        //let the robot code know when it runs into something (or gets free)
+        for(var i=0; i < this.bots.length; i++) {
+            var bot = this.bots[i].part;
+            if(bot.collided != wasCollided[i] && bot.thread) {
+                bot.thread.postMessage({type: "chassis", update: {collided: bot.collided}});
+            }
+        }
+    };
+
+
+    /**
+     * Find the boxes the robots' grippers are holding.
+     * @returns A list of box parts.
+     */
+    this.heldBoxes = function() {
+        var result = [];
+        for(var i=0; i < this.bots.length; i++) {
+            var parts = this.bots[i].part.parts;
+            for(var j=0; j < parts.length; j++) {
+                if(parts[j].type == "Gripper" && parts[j].heldBox) {
+                    result.push(parts[j].heldBox);
+                }
+            }
+        }
+        return result;
+    };
+
+
+    /**
+     * Find the views of the boxes a robot is holding.
+     * @param {*} bot - The robot.
+     * @param {*} heldViews - The views of all the held boxes.
+     * @returns A list of box views.
+     */
+    this.carriedBy = function(bot, heldViews) {
+        var result = [];
+        for(var i=0; i < bot.parts.length; i++) {
+            if(bot.parts[i].type != "Gripper" || !bot.parts[i].heldBox) {
+                continue;
+            }
+            for(var j=0; j < heldViews.length; j++) {
+                if(heldViews[j].part === bot.parts[i].heldBox) {
+                    result.push(heldViews[j]);
+                }
+            }
+        }
+        return result;
+    };
+
+
+    /**
+     * Move the boxes a robot holds along with it.
+     * @param {*} body - The robot's body.
+     * @param {number} dx - How far to move in x.
+     * @param {number} dy - How far to move in y.
+     */
+    this.moveHeld = function(body, dx, dy) {
+        for(var i=0; i < body.held.length; i++) {
+            body.held[i].part.x += dx;
+            body.held[i].part.y += dy;
+            body.held[i].update();
+        }
+    };
+
+
+    /**
+     * Carry the boxes the robots' grippers are holding.
+     */
+    this.carryBoxes = function() {
+        for(var i=0; i < this.bots.length; i++) {
+            var parts = this.bots[i].part.parts;
+            for(var j=0; j < parts.length; j++) {
+                if(parts[j].type == "Gripper") {
+                    parts[j].carry();
+                }
+            }
+        }
+    };
+
+
+    /**
+     * Find the first thing a ray hits. Laser blasts are never hit.
+     * @param {object} origin - The origin of the ray.
+     * @param {object} dir - The unit direction of the ray.
+     * @param {function} ignore - (optional) Returns true for the parts the
+     *                            ray should pass through.
+     * @returns {object} - {distance:, part:} with the distance in pixels,
+     *                     or {distance: Infinity, part: null} on a miss.
+     */
+    this.castRay = function(origin, dir, ignore) {
+        var result = {distance: Infinity, part: null};
+        var views = this.bots.concat(this.objects);
+        for(var i=0; i < views.length; i++) {
+            var part = views[i].part;
+            if(part.type == "LaserBlast" || (ignore && ignore(part))) {
+                continue;
+            }
+
+            var t = rayView(origin, dir, views[i].view);
+            if(t < result.distance) {
+                result.distance = t;
+                result.part = part;
+            }
+        }
+        return result;
+    };
+
+
+    /**
+     * Advance the world by one physics step.
+     * @param {number} dt - The length of the step in simulated seconds.
+     */
+    this.step = function(dt) {
+        var bots = [];
+        var botViews = this.bots;
+        for(var i=0; i < botViews.length; i++) {
+            bots.push(botViews[i].part);
+        }
+
+        //bring the geometry up to date with the current poses
+        this.update();
+
+        //remember where the markers start out
+        var markers = [];
+        for(var i=0; i < bots.length; i++) {
+            for(var j=0; j < bots[i].parts.length; j++) {
+                var p = bots[i].parts[j];
+                if(p.type == "Marker" && p.parent) {
+                    markers.push({part: p, x: p.worldx, y: p.worldy});
+                }
+            }
+        }
+
+        //update all the world objects (some may leave as we go)
+        var objects = this.objects.slice();
+        var toVanish = [];
+        for(var i=0; i < objects.length; i++) {
+            var obj = objects[i];
+            obj.part.update(dt);
+
+            //check for laser blast collisions
+            if(obj.part.type == "LaserBlast") {
+
+                for(var k = 0; k < objects.length; k++){
+                    if(objects[k].part.type != "LaserBlast"){
+                        if(collision(obj.view, objects[k].view)){
+                            toVanish.push(obj.part);
+                        }
+                    }
+                }
+
+                for(var j=0; j < botViews.length; j++) {
+                    if(sameTeam(bots[j], obj.part.firedBy)) {
+                        continue;
+                    }
+                    if(collision(botViews[j].view, obj.view)) {
+                        bots[j].hp--;
+                        toVanish.push(obj.part);
+                    }
+                }
+            }
+
+            // report robots running into lights
+            if(obj.part.type == "Light" && this.oncontact) {
+                for(var j=0; j < botViews.length; j++) {
+                    if(collision(botViews[j].view, obj.view)) {
+                        this.oncontact(botViews[j], obj);
+                    }
+                }
+            }
+        }
+        for(var i=0; i < toVanish.length; i++) {
+            toVanish[i].vanish();
+        }
+
+        for(var i=0; i < bots.length; i++) {
+            bots[i].update(dt);
+        }
+
+        //keep the robots out of the walls and each other
+        this.resolveContacts(dt);
+        this.carryBoxes();
+
+        //collect the lines the markers drew
+        for(var i=0; i < markers.length; i++) {
+            var m = markers[i];
+            var moved = m.x != m.part.worldx || m.y != m.part.worldy;
+            if(m.part.penDrawing && m.part.parent && moved) {
+                this.trails.push({x1: m.x, y1: m.y,
+                                  x2: m.part.worldx, y2: m.part.worldy,
+                                  color: m.part.color});
+            }
+        }
+
+        //advance the simulation clock
+        this.time += dt;
+    };
+}
+
+
+// make the engine available to node
+if(typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        reduceAngle: reduceAngle,
+        gaussian: gaussian,
+        minLineDist: minLineDist,
+        minPolyDist: minPolyDist,
+        pointInPolygon: pointInPolygon,
+        polygonsIntersect: polygonsIntersect,
+        growPolygon: growPolygon,
+        polygonContact: polygonContact,
+        circleContact: circleContact,
+        contact: contact,
+        collision: collision,
+        raySegment: raySegment,
+        rayPolygon: rayPolygon,
+        rayCircle: rayCircle,
+        rayView: rayView,
+        Positionable: Positionable,
+        PartDoc: PartDoc,
+        Part: Part,
+        Motor: Motor,
+        Marker: Marker,
+        Chassis: Chassis,
+        Light: Light,
+        Wall: Wall,
+        Box: Box,
+        RangeSensor: RangeSensor,
+        LightSensor: LightSensor,
+        LineSensor: LineSensor,
+        BumpSensor: BumpSensor,
+        Gyro: Gyro,
+        Compass: Compass,
+        PositionSensor: PositionSensor,
+        Camera: Camera,
+        Servo: Servo,
+        Gripper: Gripper,
+        Battery: Battery,
+        Speaker: Speaker,
+        Display: Display,
+        mountingServo: mountingServo,
+        findPartView: findPartView,
+        sameTeam: sameTeam,
+        LaserBlast: LaserBlast,
+        Laser: Laser,
+        finishPart: finishPart,
+        loadChassis: loadChassis,
+        VectorView: VectorView,
+        constructView: constructView,
+        PartView: PartView,
+        ChassisView: ChassisView,
+        ChassisBuildView: ChassisBuildView,
+        MotorView: MotorView,
+        MarkerView: MarkerView,
+        LightView: LightView,
+        LightSensorView: LightSensorView,
+        LineSensorView: LineSensorView,
+        BumpSensorView: BumpSensorView,
+        GyroView: GyroView,
+        CompassView: CompassView,
+        PositionSensorView: PositionSensorView,
+        CameraView: CameraView,
+        ServoView: ServoView,
+        GripperView: GripperView,
+        SpeakerView: SpeakerView,
+        DisplayView: DisplayView,
+        RangeSensorView: RangeSensorView,
+        WallView: WallView,
+        BoxView: BoxView,
+        LaserBlastView: LaserBlastView,
+        LaserView: LaserView,
+        GRAVITY: GRAVITY,
+        PHYSICS_STEP: PHYSICS_STEP,
+        World: World
+    };
+}
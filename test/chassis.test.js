@@ -0,0 +1,263 @@
+/**
+ * @file chassis.test.js
+ * Scenario tests for the kinematics of the robot chassis.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const sim = require("../simulator.js");
+
+const EPSILON = 1e-6;
+
+/**
+ * Assert that two numbers are within EPSILON of each other.
+ * @param {number} actual - The computed value.
+ * @param {number} expected - The expected value.
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < EPSILON,
+              "expected " + expected + " but got " + actual);
+}
+
+
+/**
+ * Run the chassis for the given number of simulated seconds.
+ * @param {*} chassis - The chassis to run.
+ * @param {number} seconds - How long to run it.
+ */
+function run(chassis, seconds) {
+    var steps = Math.round(seconds / sim.PHYSICS_STEP);
+    for(var i=0; i < steps; i++) {
+        chassis.update(sim.PHYSICS_STEP);
+    }
+}
+
+
+test.describe("Chassis kinematics", function() {
+    test.it("stays put with no power", function() {
+        var chassis = new sim.Chassis(100, 100, 0);
+        run(chassis, 1);
+
+        assertClose(chassis.x, 100);
+        assertClose(chassis.y, 100);
+        assertClose(chassis.heading, 0);
+    });
+
+    test.it("drives straight with equal power", function() {
+        var chassis = new sim.Chassis(100, 100, 0);
+        chassis.left.setPower(100);
+        chassis.right.setPower(100);
+        run(chassis, 2);
+
+        assert.ok(chassis.x > 100);
+        assertClose(chassis.y, 100);
+        assertClose(chassis.heading, 0);
+    });
+
+    test.it("drives straight along its heading", function() {
+        var chassis = new sim.Chassis(100, 100, Math.PI/2);
+        chassis.left.setPower(50);
+        chassis.right.setPower(50);
+        run(chassis, 2);
+
+        assertClose(chassis.x, 100);
+        assert.ok(chassis.y > 100);
+        assertClose(chassis.heading, Math.PI/2);
+    });
+
+    test.it("backs up with negative power", function() {
+        var chassis = new sim.Chassis(100, 100, 0);
+        chassis.left.setPower(-100);
+        chassis.right.setPower(-100);
+        run(chassis, 1);
+
+        assert.ok(chassis.x < 100);
+        assertClose(chassis.y, 100);
+    });
+
+    test.it("covers distance in proportion to time", function() {
+        var one = new sim.Chassis(0, 0, 0);
+        var two = new sim.Chassis(0, 0, 0);
+        one.left.setPower(100);
+        one.right.setPower(100);
+        two.left.setPower(100);
+        two.right.setPower(100);
+        run(one, 1);
+        run(two, 2);
+
+        assertClose(two.x, 2 * one.x);
+    });
+
+    test.it("moves faster with larger wheels", function() {
+        var small = new sim.Chassis(0, 0, 0);
+        var large = new sim.Chassis(0, 0, 0);
+        large.chassisWheelSize = 2 * small.chassisWheelSize;
+        for(var c of [small, large]) {
+            c.left.setPower(100);
+            c.right.setPower(100);
+        }
+        run(small, 1);
+        run(large, 1);
+
+        assertClose(large.x, 2 * small.x);
+    });
+
+    test.it("spins in place with opposite power", function() {
+        var chassis = new sim.Chassis(100, 100, 0);
+        chassis.left.setPower(100);
+        chassis.right.setPower(-100);
+        run(chassis, 1);
+
+        assertClose(chassis.x, 100);
+        assertClose(chassis.y, 100);
+        assert.ok(chassis.heading > 0);
+    });
+
+    test.it("spins the other way when the power is reversed", function() {
+        var cw = new sim.Chassis(100, 100, 0);
+        var ccw = new sim.Chassis(100, 100, 0);
+        cw.left.setPower(100);
+        cw.right.setPower(-100);
+        ccw.left.setPower(-100);
+        ccw.right.setPower(100);
+        run(cw, 1);
+        run(ccw, 1);
+
+        assertClose(ccw.heading, -cw.heading);
+    });
+
+    test.it("curves toward the slower wheel", function() {
+        var chassis = new sim.Chassis(100, 100, 0);
+        chassis.left.setPower(50);
+        chassis.right.setPower(100);
+        run(chassis, 1);
+
+        assert.ok(chassis.x > 100);
+        assert.ok(chassis.heading < 0);
+        assert.ok(chassis.y < 100);
+    });
+
+    test.it("wraps around the edge of a toroidal world", function() {
+        var world = new sim.World(200, 200);
+        var chassis = new sim.Chassis(200, 100, 0);
+        world.setBots([new sim.ChassisView(chassis)]);
+        chassis.left.setPower(100);
+        chassis.right.setPower(100);
+        run(chassis, 3);
+
+        assert.ok(chassis.x >= 0 && chassis.x < 200);
+        assertClose(chassis.y, 100);
+    });
+});
+
+
+test.describe("Drivetrain model", function() {
+    /**
+     * Build a chassis with the realistic drivetrain and no randomness.
+     */
+    function realistic() {
+        var chassis = new sim.Chassis(100, 100, 0);
+        chassis.drivetrain.model = "realistic";
+        chassis.drivetrain.leftGain = 1;
+        chassis.drivetrain.rightGain = 1;
+        chassis.drivetrain.slip = 0;
+        chassis.drivetrain.odometryNoise = 0;
+        return chassis;
+    }
+
+    test.it("limits the acceleration of the motors", function() {
+        var chassis = realistic();
+        chassis.drivetrain.maxAccel = 10;
+        chassis.left.setPower(100);
+        chassis.right.setPower(100);
+        run(chassis, 0.25);
+
+        assertClose(chassis.left.speed, 2.5);
+        run(chassis, 1);
+        assertClose(chassis.left.speed, 6.81);
+    });
+
+    test.it("drifts when the motor gains do not match", function() {
+        var chassis = realistic();
+        chassis.drivetrain.rightGain = 0.9;
+        chassis.left.setPower(100);
+        chassis.right.setPower(100);
+        run(chassis, 2);
+
+        assert.ok(chassis.heading > 0);
+        assert.ok(chassis.y > 100);
+    });
+
+    test.it("loses distance to wheel slip", function() {
+        var ideal = new sim.Chassis(0, 0, 0);
+        var slippy = realistic();
+        slippy.x = 0;
+        slippy.drivetrain.maxAccel = Infinity;
+        slippy.drivetrain.slip = 0.25;
+        for(var c of [ideal, slippy]) {
+            c.left.setPower(100);
+            c.right.setPower(100);
+        }
+        run(ideal, 1);
+        run(slippy, 1);
+
+        assertClose(slippy.x, 0.75 * ideal.x);
+    });
+
+    test.it("adds noise to the motion", function() {
+        var chassis = realistic();
+        chassis.drivetrain.odometryNoise = 0.2;
+        chassis.left.setPower(100);
+        chassis.right.setPower(100);
+        run(chassis, 2);
+
+        assert.ok(Math.abs(chassis.heading) > 1e-9);
+    });
+
+    test.it("turns more slowly with a longer axle", function() {
+        var short = new sim.Chassis(0, 0, 0);
+        var long = new sim.Chassis(0, 0, 0);
+        long.axleLength = 2 * short.axleLength;
+        for(var c of [short, long]) {
+            c.left.setPower(100);
+            c.right.setPower(-100);
+        }
+        run(short, 0.5);
+        run(long, 0.5);
+
+        assertClose(long.heading, short.heading / 2);
+    });
+
+    test.it("counts encoder ticks as the wheels turn", function() {
+        var chassis = new sim.Chassis(0, 0, 0);
+        chassis.left.setPower(100);
+        chassis.right.setPower(-50);
+        run(chassis, 1);
+
+        assert.strictEqual(chassis.left.encoder, Math.round(6.81 / (2 * Math.PI) * 360));
+        assert.strictEqual(chassis.right.encoder, -Math.round(6.81 / 2 / (2 * Math.PI) * 360));
+    });
+
+    test.it("counts the wheel turning even when it slips", function() {
+        var chassis = realistic();
+        chassis.drivetrain.maxAccel = Infinity;
+        chassis.drivetrain.slip = 0.5;
+        chassis.left.setPower(100);
+        chassis.right.setPower(100);
+        run(chassis, 1);
+
+        //the wheels turned twice as far as the robot went
+        var turned = chassis.left.encoder / 360 * 2 * Math.PI * chassis.chassisWheelSize * 60;
+        assert.ok(Math.abs(chassis.x - 100 - turned / 2) < 1);
+    });
+
+    test.it("saves the drivetrain with the robot", function() {
+        var chassis = realistic();
+        chassis.axleLength = 0.3;
+        chassis.drivetrain.rightGain = 0.8;
+
+        var loaded = sim.loadChassis(new sim.Chassis(), JSON.stringify(chassis));
+        assert.strictEqual(loaded.axleLength, 0.3);
+        assert.strictEqual(loaded.drivetrain.model, "realistic");
+        assert.strictEqual(loaded.drivetrain.rightGain, 0.8);
+    });
+});
@@ -0,0 +1,313 @@
+/**
+ * @file geometry.test.js
+ * Tests for the geometry and collision primitives of the simulator.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const sim = require("../simulator.js");
+
+const EPSILON = 1e-9;
+
+/**
+ * Assert that two numbers are within EPSILON of each other.
+ * @param {number} actual - The computed value.
+ * @param {number} expected - The expected value.
+ */
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < EPSILON,
+              "expected " + expected + " but got " + actual);
+}
+
+
+/**
+ * Build a view with the given extents.
+ */
+function box(minx, miny, maxx, maxy) {
+    return {minx: minx, miny: miny, maxx: maxx, maxy: maxy};
+}
+
+
+/**
+ * Build the points of a square centered on the origin.
+ */
+function square(half) {
+    return [
+        {x: -half, y: -half},
+        {x: half, y: -half},
+        {x: half, y: half},
+        {x: -half, y: half}
+    ];
+}
+
+
+/**
+ * Build a circular view like the one lights use.
+ */
+function circle(x, y, radius) {
+    var view = new sim.VectorView(x, y, 0, 1, [{x: 0, y: 0}]);
+    view.update();
+    view.radius = radius;
+    view.minx -= radius;
+    view.maxx += radius;
+    view.miny -= radius;
+    view.maxy += radius;
+    return view;
+}
+
+
+test.describe("reduceAngle", function() {
+    test.it("leaves angles within [0, 2*PI) alone", function() {
+        assertClose(sim.reduceAngle(0), 0);
+        assertClose(sim.reduceAngle(1), 1);
+        assertClose(sim.reduceAngle(Math.PI), Math.PI);
+    });
+
+    test.it("wraps angles of a full turn or more", function() {
+        assertClose(sim.reduceAngle(2 * Math.PI), 0);
+        assertClose(sim.reduceAngle(5 * Math.PI), Math.PI);
+    });
+
+    test.it("wraps negative angles into range", function() {
+        assertClose(sim.reduceAngle(-Math.PI/2), 3 * Math.PI/2);
+        assertClose(sim.reduceAngle(-4 * Math.PI - 1), 2 * Math.PI - 1);
+    });
+});
+
+
+test.describe("minLineDist", function() {
+    var a = {x: 0, y: 0};
+    var b = {x: 10, y: 0};
+
+    test.it("measures perpendicular distance to the segment", function() {
+        var result = sim.minLineDist(a, b, {x: 4, y: 3});
+        assertClose(result.distance, 3);
+    });
+
+    test.it("measures to endpoint b when past the end", function() {
+        var result = sim.minLineDist(a, b, {x: 13, y: 4});
+        assertClose(result.distance, 5);
+        assertClose(result.angle, Math.atan2(-4, -3));
+    });
+
+    test.it("measures to endpoint a when before the start", function() {
+        var result = sim.minLineDist(a, b, {x: -3, y: -4});
+        assertClose(result.distance, 5);
+        assertClose(result.angle, Math.atan2(4, 3));
+    });
+
+    test.it("reports zero for a point on the segment", function() {
+        var result = sim.minLineDist(a, b, {x: 7, y: 0});
+        assertClose(result.distance, 0);
+    });
+});
+
+
+test.describe("minPolyDist", function() {
+    var square = [
+        {x: 0, y: 0},
+        {x: 10, y: 0},
+        {x: 10, y: 10},
+        {x: 0, y: 10}
+    ];
+
+    test.it("finds the nearest edge of the polygon", function() {
+        assertClose(sim.minPolyDist({x: 5, y: -2}, square).distance, 2);
+        assertClose(sim.minPolyDist({x: 14, y: 5}, square).distance, 4);
+    });
+
+    test.it("considers the closing edge of the polygon", function() {
+        assertClose(sim.minPolyDist({x: -6, y: 5}, square).distance, 6);
+    });
+
+    test.it("finds the nearest corner of the polygon", function() {
+        assertClose(sim.minPolyDist({x: 13, y: 14}, square).distance, 5);
+    });
+
+    test.it("handles single point polygons", function() {
+        var result = sim.minPolyDist({x: 0, y: 0}, [{x: 3, y: 4}]);
+        assertClose(result.distance, 5);
+        assertClose(result.angle, Math.atan2(4, 3));
+    });
+});
+
+
+test.describe("collision", function() {
+    test.it("detects overlapping views", function() {
+        assert.strictEqual(sim.collision(box(0, 0, 10, 10), box(5, 5, 15, 15)), true);
+    });
+
+    test.it("detects a view inside another", function() {
+        assert.strictEqual(sim.collision(box(0, 0, 10, 10), box(2, 2, 4, 4)), true);
+    });
+
+    test.it("ignores views apart on one axis", function() {
+        assert.strictEqual(sim.collision(box(0, 0, 10, 10), box(20, 0, 30, 10)), false);
+        assert.strictEqual(sim.collision(box(0, 0, 10, 10), box(0, 20, 10, 30)), false);
+    });
+
+    test.it("does not count touching edges", function() {
+        assert.strictEqual(sim.collision(box(0, 0, 10, 10), box(10, 0, 20, 10)), false);
+    });
+
+    test.it("ignores rotated views whose extents overlap", function() {
+        // a diamond and a square which only share extents at the corner
+        var diamond = new sim.VectorView(0, 0, Math.PI/4, 1, square(5));
+        var block = new sim.VectorView(9, 9, 0, 1, square(3));
+        diamond.update();
+        block.update();
+
+        assert.strictEqual(sim.collision(diamond, block), false);
+    });
+
+    test.it("detects rotated views which overlap", function() {
+        var diamond = new sim.VectorView(0, 0, Math.PI/4, 1, square(5));
+        var block = new sim.VectorView(6, 0, 0, 1, square(3));
+        diamond.update();
+        block.update();
+
+        assert.strictEqual(sim.collision(diamond, block), true);
+    });
+
+    test.it("compares lights as circles", function() {
+        var block = new sim.VectorView(0, 0, 0, 1, square(5));
+        block.update();
+
+        assert.strictEqual(sim.collision(block, circle(6.5, 0, 2)), true);
+        assert.strictEqual(sim.collision(block, circle(8, 0, 2)), false);
+        assert.strictEqual(sim.collision(circle(8, 8, 2), block), false);
+        assert.strictEqual(sim.collision(circle(6, 6, 2), block), true);
+        assert.strictEqual(sim.collision(circle(0, 0, 1), block), true);
+    });
+
+    test.it("compares two circles by their radii", function() {
+        assert.strictEqual(sim.collision(circle(0, 0, 2), circle(3, 0, 2)), true);
+        assert.strictEqual(sim.collision(circle(0, 0, 2), circle(3, 3, 2)), false);
+    });
+});
+
+
+test.describe("polygonsIntersect", function() {
+    test.it("detects a polygon inside another", function() {
+        var outer = [{x: 0, y: 0}, {x: 10, y: 0}, {x: 10, y: 10}, {x: 0, y: 10}];
+        var inner = [{x: 4, y: 4}, {x: 6, y: 4}, {x: 6, y: 6}];
+
+        assert.strictEqual(sim.polygonsIntersect(outer, inner), true);
+        assert.strictEqual(sim.polygonsIntersect(inner, outer), true);
+    });
+
+    test.it("finds the gap between separated polygons", function() {
+        var left = [{x: 0, y: 0}, {x: 10, y: 0}, {x: 0, y: 10}];
+        var right = [{x: 10, y: 10}, {x: 6, y: 10}, {x: 10, y: 6}];
+
+        assert.strictEqual(sim.polygonsIntersect(left, right), false);
+    });
+});
+
+
+test.describe("pointInPolygon", function() {
+    var triangle = [{x: 0, y: 0}, {x: 10, y: 0}, {x: 0, y: 10}];
+
+    test.it("finds points inside", function() {
+        assert.strictEqual(sim.pointInPolygon({x: 2, y: 2}, triangle), true);
+    });
+
+    test.it("rejects points outside", function() {
+        assert.strictEqual(sim.pointInPolygon({x: 6, y: 6}, triangle), false);
+        assert.strictEqual(sim.pointInPolygon({x: -1, y: 2}, triangle), false);
+    });
+});
+
+
+test.describe("growPolygon", function() {
+    test.it("pushes the points away from the center", function() {
+        var grown = sim.growPolygon(square(1), Math.SQRT2);
+
+        assertClose(grown[0].x, -2);
+        assertClose(grown[0].y, -2);
+        assertClose(grown[2].x, 2);
+        assertClose(grown[2].y, 2);
+    });
+});
+
+
+test.describe("Ray casting", function() {
+    var origin = {x: 0, y: 0};
+    var east = {x: 1, y: 0};
+
+    test.it("finds where a ray meets a segment", function() {
+        assertClose(sim.raySegment(origin, east, {x: 5, y: -1}, {x: 5, y: 1}), 5);
+    });
+
+    test.it("misses segments beside or behind the ray", function() {
+        assert.strictEqual(sim.raySegment(origin, east, {x: 5, y: 1}, {x: 5, y: 3}), Infinity);
+        assert.strictEqual(sim.raySegment(origin, east, {x: -5, y: -1}, {x: -5, y: 1}), Infinity);
+        assert.strictEqual(sim.raySegment(origin, east, {x: 1, y: 1}, {x: 5, y: 1}), Infinity);
+    });
+
+    test.it("finds the near side of a polygon", function() {
+        var poly = [{x: 4, y: -1}, {x: 6, y: -1}, {x: 6, y: 1}, {x: 4, y: 1}];
+        assertClose(sim.rayPolygon(origin, east, poly), 4);
+    });
+
+    test.it("finds where a ray meets a circle", function() {
+        assertClose(sim.rayCircle(origin, east, {x: 10, y: 0}, 2), 8);
+        assert.strictEqual(sim.rayCircle(origin, east, {x: 10, y: 5}, 2), Infinity);
+        assert.strictEqual(sim.rayCircle(origin, east, {x: -10, y: 0}, 2), Infinity);
+        assertClose(sim.rayCircle(origin, east, {x: 0, y: 0}, 2), 0);
+    });
+});
+
+
+test.describe("VectorView", function() {
+    var points = [
+        {x: -1, y: -2},
+        {x: 1, y: -2},
+        {x: 1, y: 2},
+        {x: -1, y: 2}
+    ];
+
+    test.it("scales and translates its polygon", function() {
+        var view = new sim.VectorView(100, 50, 0, 2, points);
+        view.update();
+
+        assert.strictEqual(view.polygon.length, 4);
+        assertClose(view.polygon[0].x, 98);
+        assertClose(view.polygon[0].y, 46);
+        assertClose(view.polygon[2].x, 102);
+        assertClose(view.polygon[2].y, 54);
+    });
+
+    test.it("tracks the extents of its polygon", function() {
+        var view = new sim.VectorView(100, 50, 0, 2, points);
+        view.update();
+
+        assertClose(view.minx, 98);
+        assertClose(view.maxx, 102);
+        assertClose(view.miny, 46);
+        assertClose(view.maxy, 54);
+        assert.strictEqual(view.encloses(100, 50), true);
+        assert.strictEqual(view.encloses(110, 50), false);
+    });
+
+    test.it("rotates its polygon about its position", function() {
+        var view = new sim.VectorView(0, 0, Math.PI/2, 1, points);
+        view.update();
+
+        assertClose(view.polygon[0].x, 2);
+        assertClose(view.polygon[0].y, -1);
+        assertClose(view.minx, -2);
+        assertClose(view.maxx, 2);
+        assertClose(view.miny, -1);
+        assertClose(view.maxy, 1);
+    });
+
+    test.it("resets its extents on every update", function() {
+        var view = new sim.VectorView(0, 0, 0, 1, points);
+        view.update();
+        view.x = 50;
+        view.update();
+
+        assertClose(view.minx, 49);
+        assertClose(view.maxx, 51);
+    });
+});
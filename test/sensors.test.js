@@ -0,0 +1,625 @@
+/**
+ * @file sensors.test.js
+ * Tests for the robot's sensors.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const sim = require("../simulator.js");
+
+
+/**
+ * Build a world with a robot carrying the given part, facing along +x.
+ * @param {*} part - The part to put on the robot.
+ * @returns The world.
+ */
+function makeWorld(part) {
+    var world = new sim.World(800, 600);
+    var bot = new sim.Chassis(100, 300, 0);
+    part.parent = bot;
+    bot.addPart(part);
+    world.setBots([new sim.ChassisView(bot)]);
+    world.update();
+    return world;
+}
+
+
+test.describe("RangeSensor", function() {
+    test.it("measures the distance to a wall ahead", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Wall(null, 400, 300));
+        world.update();
+        sensor.updateSensor();
+
+        assert.ok(sensor.distance > 3 && sensor.distance < 5);
+    });
+
+    test.it("reports Infinity beyond its range", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Wall(null, 400, 300));
+        world.update();
+        sensor.range = 2;
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.distance, Infinity);
+    });
+
+    test.it("ignores objects outside its field of view", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Wall(null, 200, 200));
+        world.update();
+        sensor.updateSensor();
+        assert.strictEqual(sensor.distance, Infinity);
+
+        sensor.fov = Math.PI;
+        sensor.updateSensor();
+        assert.ok(sensor.distance < 5);
+    });
+
+    test.it("reports the type of object it sees", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Box(null, 300, 300));
+        world.update();
+        sensor.updateSensor();
+        assert.strictEqual(sensor.hitType, "Box");
+
+        sensor.range = 1;
+        sensor.updateSensor();
+        assert.strictEqual(sensor.hitType, null);
+    });
+
+    test.it("does not see through walls", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Box(null, 250, 300));
+        world.addObject(new sim.Wall(null, 180, 300));
+        world.update();
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.hitType, "Wall");
+    });
+
+    test.it("does not see objects beside a single beam", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Box(null, 200, 340));
+        world.update();
+        sensor.beams = 1;
+        sensor.updateSensor();
+        assert.strictEqual(sensor.distance, Infinity);
+
+        sensor.beams = 5;
+        sensor.updateSensor();
+        assert.strictEqual(sensor.hitType, "Box");
+    });
+
+    test.it("sees other robots", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        var other = new sim.Chassis(300, 300, 0);
+        world.setBots(world.bots.concat([new sim.ChassisView(other)]));
+        world.update();
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.hitType, "Chassis");
+    });
+
+    test.it("does not save its beams", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.update();
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.beamLines.length, 5);
+        assert.strictEqual(JSON.parse(JSON.stringify(sensor)).beamLines, undefined);
+    });
+
+    test.it("misses readings with dropout", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Wall(null, 400, 300));
+        world.update();
+        sensor.dropout = 1;
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.distance, Infinity);
+    });
+
+    test.it("adds noise to the readings", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Wall(null, 400, 300));
+        world.update();
+        sensor.updateSensor();
+        var exact = sensor.distance;
+
+        sensor.noise = 0.5;
+        var differ = 0;
+        for(var i=0; i<10; i++) {
+            sensor.updateSensor();
+            if(sensor.distance != exact) { differ++; }
+        }
+        assert.ok(differ > 0);
+    });
+
+    test.it("reads at its update frequency", function() {
+        var sensor = new sim.RangeSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        var readings = 0;
+        sensor.updateSensor = function() { readings++; };
+        sensor.freq = 20;
+        for(var i=0; i<120; i++) {
+            world.step(sim.PHYSICS_STEP);
+        }
+
+        assert.ok(readings >= 19 && readings <= 20);
+    });
+});
+
+
+test.describe("LightSensor", function() {
+    test.it("senses a light ahead", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Light(null, 200, 300));
+        world.update();
+        sensor.updateSensor();
+
+        assert.ok(sensor.intensity > 0);
+    });
+
+    test.it("ignores lights beyond its range", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Light(null, 200, 300));
+        world.update();
+        sensor.range = 1;
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.intensity, 0);
+    });
+
+    test.it("measures its range in meters", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Light(null, 200, 300));
+        world.update();
+        sensor.range = 2;
+        sensor.updateSensor();
+
+        assert.ok(sensor.intensity > 0);
+    });
+
+    test.it("ignores lights outside its field of view", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Light(null, 100, 400));
+        world.update();
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.intensity, 0);
+    });
+
+    test.it("adds up the light from every light", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Light(null, 300, 300));
+        world.update();
+        sensor.updateSensor();
+        var one = sensor.intensity;
+
+        world.addObject(new sim.Light(null, 300, 300));
+        world.update();
+        sensor.updateSensor();
+        assert.ok(Math.abs(sensor.intensity - 2 * one) < 1e-9);
+    });
+
+    test.it("falls off with the square of the distance", function() {
+        var sensor = new sim.LightSensor(null, 0, 0);
+        var world = makeWorld(sensor);
+        var light = new sim.Light(null, 140, 300);
+        world.addObject(light);
+        world.update();
+        sensor.updateSensor();
+        var near = sensor.intensity;
+
+        light.x = 180;
+        world.update();
+        sensor.updateSensor();
+        assert.ok(Math.abs(sensor.intensity - near / 4) < 1e-9);
+    });
+
+    test.it("is less sensitive to lights off to the side", function() {
+        var sensor = new sim.LightSensor(null, 0, 0);
+        var world = makeWorld(sensor);
+        var light = new sim.Light(null, 200, 300);
+        world.addObject(light);
+        world.update();
+        sensor.updateSensor();
+        var ahead = sensor.intensity;
+
+        light.y = 250;
+        world.update();
+        sensor.updateSensor();
+        assert.ok(sensor.intensity > 0);
+        assert.ok(sensor.intensity < ahead);
+    });
+
+    test.it("scales with the brightness of the light", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        var light = new sim.Light(null, 300, 300);
+        world.addObject(light);
+        world.update();
+        sensor.updateSensor();
+        var dim = sensor.intensity;
+
+        light.brightness = 3;
+        sensor.updateSensor();
+        assert.ok(Math.abs(sensor.intensity - 3 * dim) < 1e-9);
+    });
+
+    test.it("does not see lights behind a wall", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.addObject(new sim.Light(null, 300, 300));
+        world.addObject(new sim.Wall(null, 200, 300));
+        world.update();
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.intensity, 0);
+    });
+
+    test.it("only sees lights of its filter color", function() {
+        var sensor = new sim.LightSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        var light = new sim.Light(null, 200, 300);
+        world.addObject(light);
+        world.update();
+        sensor.fill = "red";
+        sensor.updateSensor();
+        assert.strictEqual(sensor.intensity, 0);
+
+        light.fill = "red";
+        sensor.updateSensor();
+        assert.ok(sensor.intensity > 0);
+    });
+});
+
+
+test.describe("LineSensor", function() {
+    test.it("sees white ground when the world has none", function() {
+        var sensor = new sim.LineSensor(null, 7, 0);
+        makeWorld(sensor);
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.value, 100);
+        assert.strictEqual(sensor.color, "#ffffff");
+    });
+
+    test.it("reads the ground under the sensor", function() {
+        var sensor = new sim.LineSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        var looked;
+        world.ground = function(x, y) {
+            looked = {x: x, y: y};
+            return x > 110 ? {r: 0, g: 0, b: 0} : {r: 255, g: 0, b: 0};
+        };
+        sensor.updateSensor();
+
+        assert.ok(Math.abs(looked.x - sensor.worldx) < 1e-9);
+        assert.strictEqual(sensor.value, 0);
+        assert.strictEqual(sensor.color, "#000000");
+
+        world.bots[0].part.x = 90;
+        world.update();
+        sensor.updateSensor();
+        assert.ok(Math.abs(sensor.value - 100/3) < 1e-9);
+        assert.strictEqual(sensor.color, "#ff0000");
+    });
+
+    test.it("keeps its last reading when one is missed", function() {
+        var sensor = new sim.LineSensor(null, 7, 0);
+        var world = makeWorld(sensor);
+        world.ground = function(x, y) { return {r: 0, g: 0, b: 0}; };
+        sensor.dropout = 1;
+        sensor.updateSensor();
+
+        assert.strictEqual(sensor.value, 100);
+    });
+
+    test.it("only has the settings that make sense for it", function() {
+        var names = new sim.LineSensor().doc.settings.map(function(s) { return s.name; });
+        assert.deepStrictEqual(names, ["freq", "noise", "dropout"]);
+    });
+});
+
+
+test.describe("BumpSensor", function() {
+    /**
+     * Drive the robot forward for the given number of seconds.
+     */
+    function drive(world, seconds) {
+        var bot = world.bots[0].part;
+        bot.left.setPower(100);
+        bot.right.setPower(100);
+        for(var i=0; i < seconds / sim.PHYSICS_STEP; i++) {
+            world.step(sim.PHYSICS_STEP);
+        }
+    }
+
+    test.it("is not pressed in the open", function() {
+        var bumper = new sim.BumpSensor(null, 9.5, 0);
+        var world = makeWorld(bumper);
+        drive(world, 1);
+
+        assert.strictEqual(bumper.pressed, false);
+    });
+
+    test.it("is pressed when the robot drives into a wall", function() {
+        var bumper = new sim.BumpSensor(null, 9.5, 0);
+        var world = makeWorld(bumper);
+        world.addObject(new sim.Wall(null, 200, 300));
+        drive(world, 4);
+
+        assert.strictEqual(bumper.pressed, true);
+    });
+
+    test.it("is only pressed on the side that touches", function() {
+        var bumper = new sim.BumpSensor(null, -9.5, 0);
+        var world = makeWorld(bumper);
+        world.addObject(new sim.Wall(null, 200, 300));
+        drive(world, 4);
+
+        assert.strictEqual(bumper.pressed, false);
+    });
+
+    test.it("is pressed by boxes and other robots", function() {
+        var bumper = new sim.BumpSensor(null, 9.5, 0);
+        var world = makeWorld(bumper);
+        world.pushBoxes = false;
+        world.addObject(new sim.Box(null, 160, 300));
+        drive(world, 2);
+        assert.strictEqual(bumper.pressed, true);
+
+        world = makeWorld(bumper);
+        world.setBots(world.bots.concat([new sim.ChassisView(new sim.Chassis(170, 300, 0))]));
+        bumper.pressed = false;
+        drive(world, 2);
+        assert.strictEqual(bumper.pressed, true);
+    });
+});
+
+
+test.describe("Gyro", function() {
+    /**
+     * Spin the robot in place for the given number of seconds.
+     */
+    function spin(world, seconds) {
+        var bot = world.bots[0].part;
+        bot.left.setPower(100);
+        bot.right.setPower(-100);
+        for(var i=0; i < Math.round(seconds / sim.PHYSICS_STEP); i++) {
+            world.step(sim.PHYSICS_STEP);
+        }
+    }
+
+    test.it("reports how far the robot has turned", function() {
+        var gyro = new sim.Gyro(null, 0, 0);
+        var world = makeWorld(gyro);
+        spin(world, 0.5);
+        gyro.updateSensor();
+
+        var bot = world.bots[0].part;
+        assert.ok(gyro.angle > 0);
+        assert.ok(Math.abs(gyro.angle - bot.heading * 180 / Math.PI) < 5);
+        assert.ok(gyro.rate > 0);
+    });
+
+    test.it("drifts over time", function() {
+        var gyro = new sim.Gyro(null, 0, 0);
+        var world = makeWorld(gyro);
+        gyro.drift = 2;
+        for(var i=0; i < 240; i++) {
+            world.step(sim.PHYSICS_STEP);
+        }
+        gyro.updateSensor();
+
+        assert.ok(Math.abs(gyro.angle - 4) < 0.1);
+    });
+
+    test.it("starts over when it is reset", function() {
+        var gyro = new sim.Gyro(null, 0, 0);
+        var world = makeWorld(gyro);
+        spin(world, 0.5);
+        gyro.receiveUser({command: "reset"});
+        gyro.updateSensor();
+
+        assert.strictEqual(gyro.angle, 0);
+    });
+});
+
+
+test.describe("Compass", function() {
+    test.it("reports the heading in degrees", function() {
+        var compass = new sim.Compass(null, 0, 0);
+        var world = makeWorld(compass);
+        world.bots[0].part.heading = -Math.PI/2;
+        compass.updateSensor();
+
+        assert.ok(Math.abs(compass.bearing - 270) < 1e-9);
+    });
+
+    test.it("keeps noisy readings between 0 and 360", function() {
+        var compass = new sim.Compass(null, 0, 0);
+        makeWorld(compass);
+        compass.noise = 5;
+        for(var i=0; i<20; i++) {
+            compass.updateSensor();
+            assert.ok(compass.bearing >= 0 && compass.bearing < 360);
+        }
+    });
+});
+
+
+test.describe("PositionSensor", function() {
+    test.it("reports where it is in meters", function() {
+        var sensor = new sim.PositionSensor(null, 0, 0);
+        makeWorld(sensor);
+        sensor.updateSensor();
+
+        assert.ok(Math.abs(sensor.position.x - 100 / 60) < 0.1);
+        assert.ok(Math.abs(sensor.position.y - 300 / 60) < 0.1);
+    });
+
+    test.it("is saved with the robot", function() {
+        var bot = new sim.Chassis(100, 100, 0);
+        var sensor = new sim.PositionSensor(bot, 0, 0);
+        sensor.noise = 0.2;
+        bot.addPart(sensor);
+        bot.addPart(new sim.Compass(bot, 0, 0));
+
+        var loaded = sim.loadChassis(new sim.Chassis(), JSON.stringify(bot));
+        assert.strictEqual(loaded.parts[0].type, "PositionSensor");
+        assert.strictEqual(loaded.parts[0].noise, 0.2);
+        assert.strictEqual(loaded.parts[1].type, "Compass");
+    });
+});
+
+
+test.describe("Camera", function() {
+    test.it("sees the color and distance of what is ahead", function() {
+        var camera = new sim.Camera(null, 7, 0);
+        var world = makeWorld(camera);
+        var box = new sim.Box(null, 300, 300);
+        box.fill = "red";
+        world.addObject(box);
+        world.update();
+        camera.columns = 3;
+        camera.updateSensor();
+
+        assert.strictEqual(camera.pixels.length, 3);
+        assert.strictEqual(camera.pixels[1].color, "red");
+        assert.strictEqual(camera.pixels[1].type, "Box");
+        assert.ok(camera.pixels[1].distance > 2 && camera.pixels[1].distance < 4);
+        assert.strictEqual(camera.pixels[0].color, null);
+        assert.strictEqual(camera.pixels[0].distance, Infinity);
+    });
+
+    test.it("sees things to the left in the first columns", function() {
+        var camera = new sim.Camera(null, 7, 0);
+        var world = makeWorld(camera);
+        world.addObject(new sim.Wall(null, 200, 240));
+        world.update();
+        camera.updateSensor();
+
+        assert.strictEqual(camera.pixels[0].type, "Wall");
+        assert.strictEqual(camera.pixels[camera.columns - 1].type, null);
+    });
+
+    test.it("sees other robots in their colors", function() {
+        var camera = new sim.Camera(null, 7, 0);
+        var world = makeWorld(camera);
+        var other = new sim.Chassis(250, 300, 0);
+        other.fill = "green";
+        world.setBots(world.bots.concat([new sim.ChassisView(other)]));
+        world.update();
+        camera.updateSensor();
+
+        var middle = camera.pixels[Math.floor(camera.columns / 2)];
+        assert.strictEqual(middle.type, "Chassis");
+        assert.strictEqual(middle.color, "green");
+    });
+});
+
+
+test.describe("Servo", function() {
+    test.it("turns toward its angle at its speed", function() {
+        var servo = new sim.Servo(null, 0, 0);
+        var world = makeWorld(servo);
+        servo.setAngle(60);
+        for(var i=0; i < 30; i++) {
+            world.step(sim.PHYSICS_STEP);
+        }
+        assert.ok(Math.abs(servo.angle - 45) < 1e-9);
+
+        for(var i=0; i < 30; i++) {
+            world.step(sim.PHYSICS_STEP);
+        }
+        assert.strictEqual(servo.angle, 60);
+    });
+
+    test.it("stays within its range", function() {
+        var servo = new sim.Servo(null, 0, 0);
+        servo.setAngle(200);
+        assert.strictEqual(servo.target, 90);
+        servo.setAngle(-200);
+        assert.strictEqual(servo.target, -90);
+    });
+
+    test.it("turns the sensors mounted on it", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var servo = new sim.Servo(bot, 5, 0);
+        var sensor = new sim.RangeSensor(bot, 7, 0);
+        bot.addPart(servo);
+        bot.addPart(sensor);
+        sensor.mount = servo.name;
+        var world = new sim.World(800, 600);
+        world.setBots([new sim.ChassisView(bot)]);
+        world.addObject(new sim.Wall(null, 110, 400));
+        world.update();
+
+        sensor.updateSensor();
+        assert.strictEqual(sensor.distance, Infinity);
+        var reach = sensor.worldx - servo.worldx;
+
+        //the sensor swings around the servo
+        servo.angle = 90;
+        world.update();
+        sensor.updateSensor();
+        assert.strictEqual(sensor.hitType, "Wall");
+        assert.ok(Math.abs(sensor.worldx - servo.worldx) < 1e-6);
+        assert.ok(Math.abs(sensor.worldy - servo.worldy - reach) < 1e-6);
+    });
+
+    test.it("aims the lasers mounted on it", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var servo = new sim.Servo(bot, 0, 0);
+        var laser = new sim.Laser(bot, 5, 0);
+        bot.addPart(servo);
+        bot.addPart(laser);
+        laser.mount = servo.name;
+        servo.angle = -90;
+        var world = new sim.World(800, 600);
+        world.setBots([new sim.ChassisView(bot)]);
+        world.update();
+        laser.fire();
+
+        var blast = world.objects[0].part;
+        assert.ok(Math.abs(sim.reduceAngle(blast.heading) - 3 * Math.PI / 2) < 1e-9);
+    });
+});
+
+
+test.describe("Sensor settings", function() {
+    test.it("are documented for the part editor", function() {
+        var names = new sim.RangeSensor().doc.settings.map(function(s) { return s.name; });
+        assert.deepStrictEqual(names, ["fov", "range", "freq", "noise", "dropout", "beams"]);
+    });
+
+    test.it("are saved with the robot", function() {
+        var bot = new sim.Chassis(100, 100, 0);
+        var sensor = new sim.LightSensor(bot, 0, 0);
+        sensor.fov = 2;
+        sensor.noise = 3;
+        bot.addPart(sensor);
+
+        var loaded = sim.loadChassis(new sim.Chassis(), JSON.stringify(bot));
+        assert.strictEqual(loaded.parts[0].fov, 2);
+        assert.strictEqual(loaded.parts[0].noise, 3);
+        assert.strictEqual(loaded.parts[0].dropout, 0);
+    });
+});
@@ -0,0 +1,326 @@
+/**
+ * @file userbot.test.js
+ * Tests for the robot models the user's code runs against.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "userbot.js"), "utf8");
+
+
+/**
+ * Load the user bot into a fresh worker-like context, running a robot
+ * with the given parts and code.
+ * @param {*} parts - The sendable parts of the robot.
+ * @param {string} code - The robot code.
+ * @param {*} debug - The debugger settings, if debugging.
+ * @returns The context.
+ */
+function start(parts, code, debug) {
+    var context = {posted: []};
+    context.postMessage = function(message) { context.posted.push(JSON.parse(JSON.stringify(message))); };
+    vm.createContext(context);
+    vm.runInContext(source, context);
+    context.onmessage({data: {type: "start", time: 0, robot: {name: "bot", type: "Chassis", code: code || "", parts: parts}, debug: debug}});
+    return context;
+}
+
+
+/**
+ * Send an update to the user bot.
+ */
+function update(context, fields) {
+    context.onmessage({data: {type: "update", update: fields}});
+}
+
+
+/**
+ * Send an update of the chassis to the user bot.
+ */
+function updateChassis(context, fields) {
+    context.onmessage({data: {type: "chassis", update: fields}});
+}
+
+
+/**
+ * Let any waiting promises run.
+ */
+function settle() {
+    return new Promise(function(resolve) { setImmediate(resolve); });
+}
+
+
+test.describe("Part events", function() {
+    var range = {name: "range", type: "RangeSensor", distance: 2};
+
+    test.it("calls change listeners with the new reading", function() {
+        var bot = start([range]);
+        var readings = [];
+        bot.robot.parts[0].on("change", function(d) { readings.push(d); });
+        update(bot, {name: "range", distance: 1.5});
+        update(bot, {name: "range", distance: 1.5});
+        update(bot, {name: "range", distance: 1});
+
+        assert.deepStrictEqual(readings, [1.5, 1]);
+    });
+
+    test.it("stops calling listeners which are taken off", function() {
+        var bot = start([range]);
+        var calls = 0;
+        var fn = function() { calls++; };
+        var sensor = bot.robot.parts[0];
+        sensor.on("change", fn);
+        update(bot, {name: "range", distance: 1});
+        sensor.off("change", fn);
+        update(bot, {name: "range", distance: 0.5});
+
+        assert.strictEqual(calls, 1);
+    });
+
+    test.it("waits until the reading passes a test", async function() {
+        var bot = start([range]);
+        var result;
+        bot.robot.parts[0].waitUntil(function(d) { return d < 0.5; }).then(function(d) { result = d; });
+        update(bot, {name: "range", distance: 1});
+        await settle();
+        assert.strictEqual(result, undefined);
+
+        update(bot, {name: "range", distance: 0.25});
+        await settle();
+        assert.strictEqual(result, 0.25);
+    });
+
+    test.it("reports collisions to the robot", function() {
+        var bot = start([]);
+        var hits = 0;
+        bot.robot.onCollision(function() { hits++; });
+        updateChassis(bot, {collided: true});
+        updateChassis(bot, {collided: false});
+        updateChassis(bot, {collided: true});
+
+        assert.strictEqual(hits, 2);
+        assert.strictEqual(bot.robot.collided, true);
+    });
+
+    test.it("keeps collisions off a part named like the robot", function() {
+        var bot = start([{name: "bot", type: "RangeSensor", distance: 2}]);
+        var changes = 0;
+        bot.robot.parts[0].on("change", function() { changes++; });
+        updateChassis(bot, {collided: true});
+
+        assert.strictEqual(changes, 0);
+        assert.strictEqual(bot.robot.parts[0].collided, undefined);
+    });
+
+    test.it("leaves the listeners out of messages to the simulator", function() {
+        var bot = start([{name: "left", type: "Motor", power: 0, speed: 0, encoder: 0, ticksPerRev: 360}]);
+        bot.robot.parts[0].on("change", function() {});
+        bot.robot.parts[0].setPower(50);
+
+        assert.deepStrictEqual(Object.keys(bot.posted[0]).sort(), ["encoder", "name", "power", "speed", "ticksPerRev", "type"]);
+    });
+});
+
+
+test.describe("Watchdog", function() {
+    test.it("answers the time with a heartbeat", function() {
+        var bot = start([]);
+        bot.onmessage({data: {type: "time", time: 1}});
+
+        assert.deepStrictEqual(bot.posted, [{type: "heartbeat"}]);
+    });
+
+    test.it("marks the top of each loop with its line", function() {
+        var bot = start([]);
+        var code = 'var s = "while(x) {";\nwhile (s.length > 1)\n{\n  s = s.slice(1);\n}\nfor(;;) { }\ndo {\n} while(false);\nwhile(x) y();';
+        var marked = bot.instrumentLoops(code);
+
+        assert.ok(marked.includes('"while(x) {"'));
+        assert.ok(marked.includes("{__loop(2);"));
+        assert.ok(marked.includes("for(;;) {__loop(6); }"));
+        assert.ok(marked.includes("do {__loop(7);"));
+        assert.strictEqual(marked.split("__loop").length, 4);
+        assert.strictEqual(marked.split("\n").length, code.split("\n").length);
+    });
+
+    test.it("skips a regular expression with a quote in it", function() {
+        var bot = start([]);
+        var marked = bot.instrumentLoops("if (/'/.test(s)) {}\nwhile(1) {\n  x();\n}");
+
+        assert.ok(marked.includes("while(1) {__loop(2);"));
+    });
+
+    test.it("skips a regular expression with a brace in it", function() {
+        var bot = start([]);
+        var marked = bot.instrumentLoops("while(/[{(]/.test(s)) {\n  x = a / 2 / b;\n}\nfor(;;) {}");
+
+        assert.ok(marked.includes("while(/[{(]/.test(s)) {__loop(1);"));
+        assert.ok(marked.includes("for(;;) {__loop(4);}"));
+    });
+
+    test.it("reports a loop which keeps the worker busy", function() {
+        var code = "var t = Date.now();\nwhile(Date.now() - t < 700) {\n}\n";
+        var bot = start([], code);
+
+        assert.deepStrictEqual(bot.posted, [{type: "loop", line: 2}]);
+    });
+
+    test.it("hides the worker's globals from the robot code", function() {
+        var code = "left.setPower(typeof postMessage + typeof robotFun + typeof self + (this === globalThis));\n" +
+                   "robot.parts[0].power = robot.name;";
+        var bot = start([{name: "left", type: "Motor", power: 0}], code);
+
+        assert.strictEqual(bot.posted[0].power, "undefinedundefinedundefinedfalse");
+        assert.strictEqual(bot.robot.parts[0].power, "bot");
+    });
+});
+
+
+test.describe("Reserved names", function() {
+    test.it("keeps parts from taking the names of the worker's globals", function() {
+        var bot = start([]);
+        bot.onmessage({data: {type: "names"}});
+        var names = bot.posted[0].names;
+        var globals = Array.from(source.matchAll(/^(?:function|var)\s+([\w$]+)/gm), function(m) { return m[1]; });
+
+        assert.deepStrictEqual(globals.filter(function(name) { return !names.includes(name); }), []);
+        assert.ok(names.includes("robot") && names.includes("postMessage") && names.includes("__n"));
+    });
+});
+
+
+test.describe("Error reporting", function() {
+    var range = {name: "range", type: "RangeSensor", distance: 2};
+
+    test.it("reports the line of the robot code which threw", async function() {
+        var bot = start([range, {name: "left", type: "Motor", power: 0}], "var x = 1;\n\nnope();\n");
+        await settle();
+
+        assert.deepStrictEqual(bot.posted, [{type: "error", message: "ReferenceError: nope is not defined", line: 3}]);
+    });
+
+    test.it("reports errors after the code awaits", async function() {
+        var bot = start([], "await null;\nnull.x;");
+        await settle();
+
+        assert.strictEqual(bot.posted.length, 1);
+        assert.strictEqual(bot.posted[0].line, 2);
+    });
+
+    test.it("reports errors in event functions", async function() {
+        var bot = start([range], "range.on('change', function() {\n  throw new Error('bad');\n});\n" +
+                                 "range.on('change', async function() {\n  await null;\n  throw new Error('worse');\n});");
+        update(bot, {name: "range", distance: 1});
+        await settle();
+
+        assert.deepStrictEqual(bot.posted, [{type: "error", message: "Error: bad", line: 2},
+                                            {type: "error", message: "Error: worse", line: 6}]);
+    });
+
+    test.it("reports errors in async collision functions", async function() {
+        var bot = start([], "robot.onCollision(async function() {\n  await null;\n  throw new Error('ouch');\n});");
+        updateChassis(bot, {collided: true});
+        await settle();
+
+        assert.deepStrictEqual(bot.posted, [{type: "error", message: "Error: ouch", line: 3}]);
+    });
+
+    test.it("reports syntax errors without running the code", function() {
+        var bot = start([], "print(1);\nleft.setPower(50;");
+
+        assert.strictEqual(bot.posted.length, 1);
+        assert.strictEqual(bot.posted[0].type, "error");
+        assert.match(bot.posted[0].message, /^SyntaxError/);
+        assert.strictEqual(bot.posted[0].line, 2);
+    });
+
+    test.it("checks the code for syntax errors by line", function() {
+        var bot = start([]);
+        var check = function(code) {
+            bot.posted = [];
+            bot.onmessage({data: {type: "check", code: code}});
+            return bot.posted[0].error && bot.posted[0].error.line;
+        };
+
+        assert.strictEqual(check("await delay(10);\nprint('ok');"), null);
+        assert.strictEqual(check("var x = 1;\n/* (\n */\nfoo(1;\nbar();"), 4);
+        assert.strictEqual(check("var o = {\n  a: 1\n};\nwhile(x) {\n  go();"), 4);
+        assert.strictEqual(check("go();\n}\ngo();"), 2);
+        assert.deepStrictEqual(bot.posted, [{type: "syntax", error: {message: "SyntaxError: Unexpected token '}'", line: 2}}]);
+    });
+});
+
+
+test.describe("Printing", function() {
+    test.it("sends printed values to the simulator with the time", function() {
+        var bot = start([{name: "range", type: "RangeSensor", distance: 2}], "print('distance', range.distance, [1, 2]);");
+        bot.onmessage({data: {type: "time", time: 1.5}});
+        bot.print("later");
+
+        assert.deepStrictEqual(bot.posted, [{type: "print", text: "distance 2 [1,2]", time: 0},
+                                            {type: "heartbeat"},
+                                            {type: "print", text: "later", time: 1.5}]);
+    });
+
+    test.it("gives the robot code a console which prints", function() {
+        var bot = start([], "console.log('now', {x: 1}, undefined);\nconsole.warn(robot.collided);");
+
+        assert.deepStrictEqual(bot.posted, [{type: "print", text: 'now {"x":1} undefined', time: 0},
+                                            {type: "print", text: "false", time: 0}]);
+    });
+});
+
+
+test.describe("Debugger", function() {
+    var range = {name: "range", type: "RangeSensor", distance: 2};
+
+    test.it("marks the statements the code can stop at", function() {
+        var bot = start([]);
+        var code = "var o = {\n  a: 1\n};\nif(o)\n  go();\nrange.on('change', function() {\n  go();\n});\nwhile(o) {\n  go();\n}";
+        var marked = bot.instrumentSteps(code);
+        var lines = marked.split("\n").filter(function(l) { return l.includes("__step"); });
+
+        assert.deepStrictEqual(lines.map(function(l) { return /__step\((\d+)/.exec(l)[1]; }), ["1", "4", "6", "9", "10"]);
+        assert.strictEqual(marked.split("\n").length, code.split("\n").length);
+    });
+
+    test.it("marks statements without semicolons", function() {
+        var bot = start([]);
+        var code = "left.setPower(50)\nright.setPower(50)\nawait delay(1000)\nwhile(true) {\n  left.setPower(50)\n" +
+                   "  var p = go()\n    .then(go)\n  var q = 1 +\n    2\n  if(p)\n    go()\n  i++\n  await delay(100)\n}\n" +
+                   "var re = /a\\/b/\ngo()\nvar r = /[({]/g\nswitch(x) {\n  case 1:\n    go()\n    break\n  default:\n    go()\n}\ngo()";
+        var marked = bot.instrumentSteps(code);
+        var lines = marked.split("\n").filter(function(l) { return l.includes("__step"); });
+
+        assert.deepStrictEqual(lines.map(function(l) { return /__step\((\d+)/.exec(l)[1]; }),
+                               ["1", "2", "3", "4", "5", "6", "8", "10", "12", "13",
+                                "15", "16", "17", "18", "20", "21", "23", "25"]);
+        assert.doesNotThrow(function() { new Function("return async function() {\n" + marked + "\n}"); });
+    });
+
+    test.it("stops at breakpoints with the variables and sensors", async function() {
+        var code = "var a = 1;\nlet b = 'two';\nrange.distance;\nprint('done');";
+        var bot = start([range], code, {breakpoints: [3], stepping: false});
+        await settle();
+
+        assert.deepStrictEqual(bot.posted, [{type: "paused", line: 3, locals: {a: "1", b: "two"}, parts: {range: "2"}}]);
+
+        bot.onmessage({data: {type: "debug", command: "continue"}});
+        await settle();
+        assert.strictEqual(bot.posted[1].text, "done");
+    });
+
+    test.it("steps from one statement to the next", async function() {
+        var bot = start([], "var a = 1;\nfor(let i=0; i < 2; i++) {\n  a += i;\n}", {breakpoints: [], stepping: true});
+        for(var i=0; i < 5; i++) {
+            await settle();
+            bot.onmessage({data: {type: "debug", command: "step"}});
+        }
+
+        assert.deepStrictEqual(bot.posted.map(function(m) { return m.line; }), [1, 2, 3, 3]);
+        assert.deepStrictEqual(bot.posted[3].locals, {a: "1", i: "1"});
+    });
+});
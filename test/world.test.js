@@ -0,0 +1,457 @@
+/**
+ * @file world.test.js
+ * Scenario tests for robots interacting with the world.
+ */
+const test = require("node:test");
+const assert = require("node:assert");
+const sim = require("../simulator.js");
+
+
+/**
+ * Build a world containing the given robots.
+ * @param {*} bots - The chassis to put in the world.
+ * @returns The world.
+ */
+function makeWorld(bots) {
+    var world = new sim.World(800, 600);
+    world.mode = "infinite";
+    world.setBots(bots.map(function(b) { return new sim.ChassisView(b); }));
+    return world;
+}
+
+
+/**
+ * Run the world for the given number of simulated seconds.
+ * @param {*} world - The world to run.
+ * @param {number} seconds - How long to run it.
+ */
+function run(world, seconds) {
+    var steps = Math.round(seconds / sim.PHYSICS_STEP);
+    for(var i=0; i < steps; i++) {
+        world.step(sim.PHYSICS_STEP);
+    }
+}
+
+
+/**
+ * Set the power of both motors.
+ */
+function drive(chassis, left, right) {
+    chassis.left.setPower(left);
+    chassis.right.setPower(right);
+}
+
+
+test.describe("Wall contacts", function() {
+    test.it("stops a robot at the wall", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        world.addObject(new sim.Wall(null, 200, 300));
+        drive(bot, 100, 100);
+        run(world, 8);
+
+        var wall = world.objects[0].view;
+        assert.ok(bot.collided);
+        assert.ok(world.bots[0].view.maxx <= wall.minx + 1e-6);
+        assert.strictEqual(bot.left.power, 100);
+    });
+
+    test.it("lets a robot back away from the wall", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        world.addObject(new sim.Wall(null, 200, 300));
+        drive(bot, 100, 100);
+        run(world, 8);
+        var stopped = bot.x;
+
+        drive(bot, -100, -100);
+        run(world, 1);
+
+        assert.ok(bot.x < stopped - 10);
+        assert.strictEqual(bot.collided, false);
+    });
+
+    test.it("lets a robot slide along the wall", function() {
+        // a long wall reaching up from the robot, which drives up and right
+        var bot = new sim.Chassis(100, 300, -Math.PI/8);
+        var world = makeWorld([bot]);
+        var wall = new sim.Wall(null, 180, 300);
+        wall.resizeFactorHeight = 20;
+        world.addObject(wall);
+        drive(bot, 100, 100);
+        run(world, 5);
+        var y = bot.y;
+        run(world, 2);
+
+        assert.ok(bot.collided);
+        assert.ok(bot.y < y - 5);
+    });
+
+    test.it("tells the robot code when it hits and leaves the wall", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        world.addObject(new sim.Wall(null, 200, 300));
+        var posted = [];
+        bot.thread = {postMessage: function(m) { posted.push(m); }};
+        drive(bot, 100, 100);
+        run(world, 8);
+        drive(bot, -100, -100);
+        run(world, 1);
+
+        var collisions = posted.filter(function(m) { return m.type == "chassis"; });
+        assert.deepStrictEqual(collisions.map(function(m) { return m.update.collided; }), [true, false]);
+    });
+});
+
+
+test.describe("Robot contacts", function() {
+    test.it("keeps robots from passing through each other", function() {
+        var one = new sim.Chassis(100, 300, 0);
+        var two = new sim.Chassis(200, 300, Math.PI);
+        var world = makeWorld([one, two]);
+        drive(one, 100, 100);
+        drive(two, 100, 100);
+        run(world, 4);
+
+        assert.ok(one.collided);
+        assert.ok(two.collided);
+        assert.ok(one.x < two.x);
+        assert.ok(!sim.collision(world.bots[0].view, world.bots[1].view));
+    });
+
+    test.it("only marks the robots which touch", function() {
+        var one = new sim.Chassis(100, 300, 0);
+        var two = new sim.Chassis(200, 300, Math.PI);
+        var three = new sim.Chassis(100, 100, 0);
+        var world = makeWorld([one, two, three]);
+        drive(one, 100, 100);
+        drive(two, 100, 100);
+        run(world, 4);
+
+        assert.ok(one.collided);
+        assert.strictEqual(three.collided, false);
+        assert.strictEqual(three.left.isCollided(), false);
+    });
+
+    test.it("lets one robot back away while the other pushes", function() {
+        var one = new sim.Chassis(100, 300, 0);
+        var two = new sim.Chassis(200, 300, Math.PI);
+        var world = makeWorld([one, two]);
+        drive(one, 100, 100);
+        drive(two, 100, 100);
+        run(world, 4);
+        var x = one.x;
+
+        drive(one, -100, -100);
+        drive(two, 0, 0);
+        run(world, 1);
+
+        assert.ok(one.x < x - 10);
+    });
+});
+
+
+test.describe("Box pushing", function() {
+    test.it("pushes a box along the robot's heading", function() {
+        var bot = new sim.Chassis(100, 300, Math.PI/4);
+        var world = makeWorld([bot]);
+        var box = new sim.Box(null, 130, 330);
+        world.addObject(box);
+        drive(bot, 100, 100);
+        run(world, 4);
+
+        assert.ok(box.x > 150);
+        assert.ok(box.y > 350);
+        assert.ok(Math.abs((box.x - 130) - (box.y - 330)) < 5);
+    });
+
+    test.it("slows the robot more with a heavier box", function() {
+        var light = new sim.Chassis(100, 300, 0);
+        var heavy = new sim.Chassis(100, 300, 0);
+        var lightWorld = makeWorld([light]);
+        var heavyWorld = makeWorld([heavy]);
+        var lightBox = new sim.Box(null, 140, 300);
+        var heavyBox = new sim.Box(null, 140, 300);
+        heavyBox.mass = 5;
+        lightWorld.addObject(lightBox);
+        heavyWorld.addObject(heavyBox);
+        drive(light, 100, 100);
+        drive(heavy, 100, 100);
+        run(lightWorld, 4);
+        run(heavyWorld, 4);
+
+        assert.ok(heavy.x < light.x);
+        assert.ok(heavyBox.x < lightBox.x);
+    });
+
+    test.it("lets a pushed box slide to a stop", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        var box = new sim.Box(null, 140, 300);
+        box.friction = 0.01;
+        world.addObject(box);
+        drive(bot, 100, 100);
+        run(world, 2);
+        drive(bot, -100, -100);
+        run(world, 0.1);
+        var x = box.x;
+        run(world, 0.5);
+
+        assert.ok(box.x > x);
+        run(world, 20);
+        assert.strictEqual(box.vx, 0);
+    });
+
+    test.it("stops boxes at walls", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        var box = new sim.Box(null, 140, 300);
+        world.addObject(box);
+        world.addObject(new sim.Wall(null, 220, 300));
+        drive(bot, 100, 100);
+        run(world, 8);
+
+        var boxView = world.objects[0].view;
+        var wallView = world.objects[1].view;
+        assert.ok(boxView.maxx <= wallView.minx + 1);
+        assert.ok(world.bots[0].view.maxx <= boxView.minx + 1);
+    });
+
+    test.it("pushes boxes into other boxes", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        var first = new sim.Box(null, 140, 300);
+        var second = new sim.Box(null, 175, 300);
+        world.addObject(first);
+        world.addObject(second);
+        drive(bot, 100, 100);
+        run(world, 4);
+
+        assert.ok(second.x > 190);
+        assert.ok(!sim.collision(world.objects[0].view, world.objects[1].view));
+    });
+
+    test.it("reports each new box contact once", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        world.addObject(new sim.Box(null, 140, 300));
+        world.pushBoxes = false;
+        var contacts = 0;
+        world.oncontact = function(botView, view) { contacts++; };
+        drive(bot, 100, 100);
+        run(world, 2);
+
+        assert.strictEqual(contacts, 1);
+        assert.strictEqual(world.boxContacts.length, 1);
+    });
+});
+
+
+test.describe("Gripper", function() {
+    /**
+     * Build a world with a gripper robot facing a box.
+     */
+    function setup() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var gripper = new sim.Gripper(bot, 10.5, 0);
+        bot.addPart(gripper);
+        var world = makeWorld([bot]);
+        var box = new sim.Box(null, 140, 300);
+        world.addObject(box);
+        return {bot: bot, gripper: gripper, world: world, box: box};
+    }
+
+    test.it("does not grab when nothing is touching it", function() {
+        var s = setup();
+        run(s.world, 0.1);
+        s.gripper.grab();
+
+        assert.strictEqual(s.gripper.holding, false);
+    });
+
+    test.it("carries the box it grabs", function() {
+        var s = setup();
+        drive(s.bot, 100, 100);
+        run(s.world, 1);
+        drive(s.bot, 0, 0);
+        s.gripper.grab();
+        assert.strictEqual(s.gripper.holding, true);
+
+        var gap = s.box.x - s.bot.x;
+        drive(s.bot, -100, -100);
+        run(s.world, 1);
+        assert.ok(s.box.x < 140);
+        assert.ok(Math.abs(s.box.x - s.bot.x - gap) < 1);
+
+        drive(s.bot, 100, -100);
+        run(s.world, 0.5);
+        assert.ok(s.box.y > 300);
+    });
+
+    test.it("leaves the box where it is released", function() {
+        var s = setup();
+        drive(s.bot, 100, 100);
+        run(s.world, 1);
+        s.gripper.grab();
+        drive(s.bot, -100, -100);
+        run(s.world, 1);
+        s.gripper.release();
+        var x = s.box.x;
+        run(s.world, 1);
+
+        assert.strictEqual(s.gripper.holding, false);
+        assert.ok(Math.abs(s.box.x - x) < 1e-6);
+        assert.ok(s.bot.x < x - 30);
+    });
+
+    test.it("can not carry the box through a wall", function() {
+        var s = setup();
+        drive(s.bot, 100, 100);
+        run(s.world, 1);
+        s.gripper.grab();
+        var wall = s.world.addObject(new sim.Wall(null, 250, 300));
+        run(s.world, 6);
+
+        var boxView = s.world.objects.find(function(v) { return v.part === s.box; });
+        boxView.update();
+        assert.strictEqual(s.gripper.holding, true);
+        assert.strictEqual(sim.collision(boxView.view, wall.view), false);
+        assert.ok(s.box.x < wall.view.minx);
+        assert.strictEqual(s.bot.collided, true);
+    });
+});
+
+
+test.describe("Speaker", function() {
+    test.it("asks the world to play each beep", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var speaker = new sim.Speaker(bot, 0, 0);
+        bot.addPart(speaker);
+        var world = makeWorld([bot]);
+        var beeps = [];
+        world.onbeep = function(part, freq, ms) { beeps.push([part, freq, ms]); };
+        speaker.receiveUser({command: "beep", freq: 440, ms: 200});
+
+        assert.deepStrictEqual(beeps, [[speaker, 440, 200]]);
+        assert.ok(speaker.beeping());
+        run(world, 0.25);
+        assert.strictEqual(speaker.beeping(), false);
+    });
+});
+
+
+test.describe("Display", function() {
+    test.it("shows the printed text", function() {
+        var display = new sim.Display(null, 0, 0);
+        display.receiveUser({text: 42});
+        assert.strictEqual(display.text, "42");
+
+        display.print("x".repeat(100));
+        assert.strictEqual(display.text.length, display.maxLength);
+    });
+
+    test.it("starts out blank when the robot is loaded", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var display = new sim.Display(bot, 0, 0);
+        bot.addPart(display);
+        display.print("hello");
+
+        var loaded = sim.loadChassis(new sim.Chassis(), JSON.stringify(bot));
+        assert.strictEqual(loaded.parts[loaded.parts.length - 1].text, "");
+    });
+});
+
+
+test.describe("Battery", function() {
+    test.it("never runs down without an energy budget", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        drive(bot, 100, 100);
+        run(world, 5);
+
+        assert.strictEqual(bot.battery.level, 100);
+    });
+
+    test.it("drains in proportion to the motor power", function() {
+        var full = new sim.Chassis(100, 100, 0);
+        var half = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([full, half]);
+        world.energy.capacity = 100;
+        drive(full, 100, 100);
+        drive(half, 50, -50);
+        run(world, 5);
+
+        assert.ok(Math.abs(full.battery.level - 90) < 0.1);
+        assert.ok(Math.abs(half.battery.level - 95) < 0.1);
+    });
+
+    test.it("slows and stops the robot when it runs out", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        world.energy.capacity = 10;
+        drive(bot, 100, 100);
+        run(world, 4.5);
+        assert.ok(bot.left.speed < 6.81);
+
+        run(world, 1);
+        var x = bot.x;
+        run(world, 1);
+        assert.strictEqual(bot.battery.level, 0);
+        assert.strictEqual(bot.x, x);
+    });
+
+    test.it("powers the lasers and lights", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var laser = new sim.Laser(bot, 10, 0, 0);
+        bot.addPart(laser);
+        bot.addPart(new sim.Light(bot, 0, 0));
+        var world = makeWorld([bot]);
+        world.energy.capacity = 100;
+        run(world, 1);
+        laser.fire();
+
+        var expected = 100 - world.energy.light - world.energy.laser;
+        assert.ok(Math.abs(bot.battery.level - expected) < 0.1);
+    });
+
+    test.it("charges up again for a new run", function() {
+        var bot = new sim.Chassis(100, 300, 0);
+        var world = makeWorld([bot]);
+        world.energy.capacity = 100;
+        drive(bot, 100, 100);
+        run(world, 5);
+        world.time = 0;
+        run(world, 1);
+
+        assert.ok(bot.battery.level > 97);
+    });
+});
+
+
+test.describe("Teams", function() {
+    /**
+     * Fire a laser from one robot at another and report the target's hp.
+     */
+    function shoot(shooterTeam, targetTeam) {
+        var shooter = new sim.Chassis(100, 300, 0);
+        var target = new sim.Chassis(250, 300, 0);
+        var laser = new sim.Laser(shooter, 10, 0, 0);
+        shooter.addPart(laser);
+        shooter.team = shooterTeam;
+        target.team = targetTeam;
+        var world = makeWorld([shooter, target]);
+        run(world, 0.1);
+        laser.fire();
+        run(world, 0.5);
+        return target.hp;
+    }
+
+    test.it("lets lasers hit robots on other teams", function() {
+        assert.strictEqual(shoot(null, null), 2);
+        assert.strictEqual(shoot(0, 1), 2);
+    });
+
+    test.it("lets lasers pass by teammates", function() {
+        assert.strictEqual(shoot(1, 1), 3);
+    });
+});
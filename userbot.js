@@ -52,6 +52,85 @@ function Part(source) {
         //by default, just use the toJSON function
         return this.toJSON();
     };
+
+
+    // the functions listening for each event {event: [functions]}
+    var handlers = {};
+
+    /**
+     * Call a function every time an event happens. The "change" event
+     * happens when the simulator sends the part a new value, and the
+     * function is called with the part's reading and the part.
+     * @param {string} event - The event (ex: "change").
+     * @param {function} fn - The function to call.
+     */
+    this.on = function(event, fn) {
+        if(!handlers[event]) {
+            handlers[event] = [];
+        }
+        handlers[event].push(fn);
+    };
+
+    /**
+     * Stop calling a function when an event happens.
+     * @param {string} event - The event.
+     * @param {function} fn - The function passed to on.
+     */
+    this.off = function(event, fn) {
+        if(handlers[event]) {
+            handlers[event] = handlers[event].filter(function(h) { return h !== fn; });
+        }
+    };
+
+    /**
+     * Call the functions listening for an event.
+     * @param {string} event - The event.
+     */
+    this.emit = function(event) {
+        var listening = (handlers[event] || []).slice();
+        for(var i=0; i < listening.length; i++) {
+            //report errors in the functions, even async ones
+            try {
+                var result = listening[i].call(this, this.reading(), this);
+                if(result instanceof Promise) {
+                    result.catch(robotError);
+                }
+            } catch(error) {
+                robotError(error);
+            }
+        }
+    };
+
+    /**
+     * The part's main value, which is passed to the event functions.
+     * Sensors give their reading, other parts give themselves.
+     */
+    this.reading = function() {
+        return this;
+    };
+
+    /**
+     * Wait until the part's reading passes a test.
+     * (ex: await rangeSensor.waitUntil(d => d < 0.5))
+     * @param {function} test - Called with the reading and the part.
+     * @returns A promise of the reading which passed the test.
+     */
+    this.waitUntil = function(test) {
+        var part = this;
+        return new Promise(function(resolve) {
+            if(test(part.reading(), part)) {
+                resolve(part.reading());
+                return;
+            }
+            var check = function(value) {
+                if(test(value, part)) {
+                    part.off("change", check);
+                    resolve(value);
+                }
+            };
+            part.on("change", check);
+        });
+    };
 }
 
 
@@ -62,6 +141,13 @@ function Part(source) {
 function Motor(source) {
     Part.call(this, source);
     this.power = source.power;
+    this.speed = source.speed;
+    this.encoder = source.encoder;
+    this.ticksPerRev = source.ticksPerRev;
+
+    this.reading = function() {
+        return this.encoder;
+    }
 
     this.setPower = function(power) {
         this.power = power;
@@ -69,6 +155,15 @@ function Motor(source) {
     }
 }
 
+function Battery(source) {
+    Part.call(this, source);
+    this.level = source.level;
+
+    this.reading = function() {
+        return this.level;
+    }
+}
+
 function Marker(source) {
     //construct the part
     Part.call(this, source);
@@ -109,6 +204,24 @@ function Chassis(source) {
     Part.call(this, source);
     this.parts = [];
     this.code = source.code;
+    this.collided = false;
+
+    this.reading = function() {
+        return this.collided;
+    }
+
+    /**
+     * Call a function every time the robot runs into a wall or another
+     * robot.
+     * @param {function} fn - The function to call.
+     */
+    this.onCollision = function(fn) {
+        this.on("change", function(collided) {
+            if(collided) {
+                return fn(this);
+            }
+        });
+    }
 
     //capture the parts
     for(var i = 0; i < source.parts.length; i++) {
@@ -120,23 +233,38 @@ function Chassis(source) {
 function Light(source) {
     Part.call(this, source);
     this.fill = source.fill;
+    this.brightness = source.brightness;
 
     this.setColor = function(color) {
         this.fill = color;
         postMessage(this.sendable());
     }
+
+    this.setBrightness = function(brightness) {
+        this.brightness = brightness;
+        postMessage(this.sendable());
+    }
 }
 
 
 function LightSensor(source) {
     Part.call(this, source);
     this.intensity = source.intensity;
+
+    this.reading = function() {
+        return this.intensity;
+    }
 }
 
 
 function RangeSensor(source) {
     Part.call(this, source);
     this.distance = source.distance;
+    this.hitType = source.hitType;
+
+    this.reading = function() {
+        return this.distance;
+    }
 }
 
 
@@ -151,15 +279,144 @@ function Laser(source) {
     }
 }
 
-//LineSensor
-// NOTE: The line sensor is unfinished. 
-// uncommenting this code will cause bugs. 
-// It has been kept for future work.
-/*
 function LineSensor(source) {
     Part.call(this, source);
+    this.value = source.value;
+    this.color = source.color;
+
+    this.reading = function() {
+        return this.value;
+    }
+}
+
+
+function BumpSensor(source) {
+    Part.call(this, source);
+    this.pressed = source.pressed;
+
+    this.reading = function() {
+        return this.pressed;
+    }
+}
+
+
+function Gyro(source) {
+    Part.call(this, source);
+    this.angle = source.angle;
+    this.rate = source.rate;
+
+    this.command = null;
+
+    this.reset = function() {
+        this.angle = 0;
+        this.command = "reset";
+        postMessage(this.sendable());
+    }
+
+    this.reading = function() {
+        return this.angle;
+    }
+}
+
+
+function Compass(source) {
+    Part.call(this, source);
+    this.bearing = source.bearing;
+
+    this.reading = function() {
+        return this.bearing;
+    }
+}
+
+
+function PositionSensor(source) {
+    Part.call(this, source);
+    this.position = source.position;
+
+    this.reading = function() {
+        return this.position;
+    }
+}
+
+
+function Camera(source) {
+    Part.call(this, source);
+    this.pixels = source.pixels;
+
+    this.reading = function() {
+        return this.pixels;
+    }
+}
+
+
+function Servo(source) {
+    Part.call(this, source);
+    this.angle = source.angle;
+    this.target = source.target;
+
+    this.setAngle = function(angle) {
+        this.target = angle;
+        postMessage(this.sendable());
+    }
+
+    this.reading = function() {
+        return this.angle;
+    }
 }
-*/
+
+
+function Gripper(source) {
+    Part.call(this, source);
+    this.holding = source.holding;
+
+    this.command = null;
+
+    this.grab = function() {
+        this.command = "grab";
+        postMessage(this.sendable());
+    }
+
+    this.release = function() {
+        this.command = "release";
+        postMessage(this.sendable());
+    }
+
+    this.reading = function() {
+        return this.holding;
+    }
+}
+
+
+function Speaker(source) {
+    Part.call(this, source);
+
+    this.command = null;
+
+    this.beep = function(freq, ms) {
+        this.command = "beep";
+        this.freq = freq;
+        this.ms = ms;
+        postMessage(this.sendable());
+    }
+}
+
+
+function Display(source) {
+    Part.call(this, source);
+    this.text = source.text;
+
+    this.print = function(text) {
+        this.text = text;
+        postMessage(this.sendable());
+    }
+}
+
+// the constructor of the local model of each type of part
+var partTypes = {Chassis: Chassis, Motor: Motor, Battery: Battery, Marker: Marker,
+                 Light: Light, LightSensor: LightSensor, RangeSensor: RangeSensor,
+                 Laser: Laser, LineSensor: LineSensor, BumpSensor: BumpSensor, Gyro: Gyro,
+                 Compass: Compass, PositionSensor: PositionSensor, Camera: Camera,
+                 Servo: Servo, Gripper: Gripper, Speaker: Speaker, Display: Display};
 
 /**
  * Construct a local model object from the source.
@@ -168,33 +425,13 @@ function LineSensor(source) {
  * @returns The user model object
  */
 function constructPart(source) {
-    if(source.type == "Chassis") {
-        return new Chassis(source);
-    } else if(source.type == "Motor") {
-        return new Motor(source);
-    } else if(source.type == "Marker") {
-        return new Marker(source);
-    } else if(source.type == "Light") {
-        return new Light(source);
-    } else if(source.type == "LightSensor") {
-        return new LightSensor(source);
-    } else if(source.type == "RangeSensor") {
-        return new RangeSensor(source);
-    } else if(source.type == "Laser") {
-        return new Laser(source);
-    }
-    //LineSensor
-    // NOTE: The line sensor is unfinished. 
-    // uncommenting this code will cause bugs. 
-    // It has been kept for future work.
-    /*
-    else if(source.type == "LineSensor") {
-        return new LineSensor(source);
-    }
-    */
+    var type = partTypes[source.type];
 
     // this is an unknown part!
-    return undefined;
+    if(!type) {
+        return undefined;
+    }
+    return new type(source);
 }
 
 
@@ -202,11 +439,32 @@ function constructPart(source) {
  * Message Handler 
  ******************************************/
 onmessage = function(message) {
+    //we are starting a new task
+    busySince = Date.now();
+    loopReported = false;
+
     // handle the type of the message
     if(message.data.type == "start") {
+        updateTime(message.data.time);
+        debugState = message.data.debug ? {breakpoints: message.data.debug.breakpoints,
+                                           stepping: message.data.debug.stepping,
+                                           names: [], resume: null} : null;
         runRobot(message.data.robot);
     } else if(message.data.type == "update") {
         updateRobot(message.data.update);
+    } else if(message.data.type == "chassis") {
+        updatePart(robot, message.data.update);
+    } else if(message.data.type == "time") {
+        updateTime(message.data.time);
+
+        //let the simulator know we are still listening
+        postMessage({type: "heartbeat"});
+    } else if(message.data.type == "debug") {
+        debugCommand(message.data);
+    } else if(message.data.type == "check") {
+        postMessage({type: "syntax", error: syntaxError(message.data.code)});
+    } else if(message.data.type == "names") {
+        postMessage({type: "names", names: reservedNames()});
     }
 }
 
@@ -217,15 +475,51 @@ onmessage = function(message) {
 var robot;
 var robotFun;
 
+// the worker's globals which the robot code can't see (robot is handed
+// to the robot code as its own variable)
+var hiddenGlobals = ["robotFun", "runRobot", "getRobotFunction", "updateRobot", "updatePart",
+                     "updateTime", "sleepers", "simTime", "hiddenGlobals",
+                     "postMessage", "onmessage", "self", "globalThis", "close",
+                     "importScripts", "robotError", "robotLine", "stackLine",
+                     "codeStart", "robotConsole", "debugState", "debugCommand",
+                     "debugLocals", "debugParts", "instrumentSteps", "declaredNames",
+                     "syntaxError", "syntaxErrorLine", "compileError", "constructPart",
+                     "partTypes", "reservedNames", "busySince", "loopReported",
+                     "skipQuoted", "regexStart", "skipRegex", "instrumentLoops", "printable",
+                     "robotParams", "robotGlobals"];
+
+// the robot code's parameters, and the worker's globals it uses
+var robotParams = ["r", "robot", "console"];
+var robotGlobals = ["delay", "print", "__loop", "__step", "Part"];
+
+/**
+ * Get the names a part can't have, since the part's variable would hide
+ * the robot code's variable or the worker's global of that name.
+ * @returns The names.
+ */
+function reservedNames() {
+    //(along with the names in the code wrapped around the robot code)
+    return robotParams.concat(robotGlobals, hiddenGlobals, Object.keys(partTypes),
+                              ["userFunction", "__n"]);
+}
+
 /**
  * Run the user robot's code.
  * @param {*} source 
  */
 function runRobot(source) {
     robot = new Chassis(source);
-    robotFun = getRobotFunction(robot);
 
-    robotFun(robot);
+    try {
+        robotFun = getRobotFunction(robot);
+
+        //the robot code gets our console, the hidden globals are left
+        //undefined, and so is this
+        robotFun.call({}, robot, robot, robotConsole).catch(robotError);
+    } catch(error) {
+        //the code did not compile
+        robotError(error, error instanceof SyntaxError ? syntaxErrorLine(robot.code, error) : null);
+    }
 }
 
 
@@ -244,32 +538,679 @@ function getRobotFunction(robot) {
     preamble += "r = undefined;\n";
     preamble += "async function userFunction() {\n";
 
-    return new Function("r", preamble + robot.code + "\n}\n  userFunction();");
+    //the debugger stops at the statements
+    var code = robot.code;
+    if(debugState) {
+        debugState.names = declaredNames(code);
+        code = instrumentSteps(code);
+    }
+
+    var params = robotParams.concat(hiddenGlobals);
+    var body = preamble + instrumentLoops(code) + "\n}\n  return userFunction();";
+
+    //find where the robot code lands in the stack traces
+    try {
+        new Function(params.join(","), "throw new Error();")();
+    } catch(error) {
+        codeStart = stackLine(error);
+        if(codeStart != null) {
+            codeStart += robot.parts.length + 2;
+        }
+    }
+
+    return new Function(params.join(","), body);
 }
 
 
+/**
+ * Apply an update from the simulator to the part it names.
+ * @param {*} update - The new values of the part {name:, ...}.
+ */
 function updateRobot(update) {
-    for(i in robot.parts) {
-        var part = robot.parts[i];
+    for(var i=0; i < robot.parts.length; i++) {
+        if(robot.parts[i].name == update.name) {
+            updatePart(robot.parts[i], update);
+        }
+    }
+}
+
+
+/**
+ * Copy new values into a part (or the chassis), letting its listeners
+ * know if anything changed.
+ * @param {*} part - The part.
+ * @param {*} update - The new values.
+ */
+function updatePart(part, update) {
+    var changed = false;
+    for(var attr in update) {
+        if(JSON.stringify(part[attr]) != JSON.stringify(update[attr])) {
+            changed = true;
+        }
+        part[attr] = update[attr];
+    }
+
+    if(changed) {
+        part.emit("change");
+    }
+}
+
+
+
+/******************************************
+ * Error Reporting
+ ******************************************/
+var codeStart = null;   // the stack trace line of the first line of robot code
+
+/**
+ * Find the line of the innermost robot code frame in an error's stack.
+ * Chrome calls the code built by new Function "<anonymous>", Firefox
+ * calls it "> Function".
+ * @param {*} error - The error.
+ * @returns The line number, or null if the code isn't in the stack.
+ */
+function stackLine(error) {
+    var match = /(?:[\s(]<anonymous>|> Function):(\d+):\d+/.exec(String(error && error.stack));
+    return match ? Number(match[1]) : null;
+}
+
+
+/**
+ * Find the line of the robot code where an error happened.
+ * @param {*} error - The error.
+ * @returns The line number in the code editor, or null if not known.
+ */
+function robotLine(error) {
+    var line = stackLine(error);
+    if(line == null || codeStart == null || line < codeStart) {
+        return null;
+    }
+    return line - codeStart + 1;
+}
+
+
+/**
+ * Tell the simulator about an error in the robot code.
+ * @param {*} error - The error.
+ * @param {number} line - The line of the error, if it isn't in the
+ *                        error's stack.
+ */
+function robotError(error, line) {
+    var message = error instanceof Error ? error.name + ": " + error.message : String(error);
+    postMessage({type: "error", message: message, line: line || robotLine(error)});
+}
+
+
 
-        if(part.name == update.name) {
-            for(var attr in update) {
-                part[attr] = update[attr];
+/**
+ * Check the robot code for syntax errors without running it.
+ * @param {string} code - The robot code.
+ * @returns The error {message:, line:}, or null if there isn't one.
+ */
+function syntaxError(code) {
+    var error = compileError(code);
+    if(!error) {
+        return null;
+    }
+    return {message: error.name + ": " + error.message, line: syntaxErrorLine(code, error)};
+}
+
+
+/**
+ * Compile the robot code the way it is run (inside an async function, so
+ * await is allowed).
+ * @param {string} code - The robot code.
+ * @returns The syntax error, or null if it compiles.
+ */
+function compileError(code) {
+    try {
+        new Function("async function userFunction() {\n" + code + "\n}");
+        return null;
+    } catch(error) {
+        return error;
+    }
+}
+
+
+/**
+ * Find the line of a syntax error in the robot code. Not every browser
+ * says where the error is, so this looks for the line which brings on
+ * the error: the code up to the line before it compiles (or fails some
+ * other way, like a block which isn't closed yet).
+ * @param {string} code - The robot code.
+ * @param {*} error - The syntax error.
+ * @returns The line number in the code editor.
+ */
+function syntaxErrorLine(code, error) {
+    var lines = code.split("\n");
+    var line = lines.length;
+    while(line > 1) {
+        var found = compileError(lines.slice(0, line - 1).join("\n"));
+        if(!found || found.message != error.message) {
+            break;
+        }
+        line--;
+    }
+    return line;
+}
+
+
+/****************************************** 
+ * Watchdog
+ ******************************************/
+var busySince = 0;          // when we started working on the current message
+var loopReported = false;   // have we told the simulator we are stuck?
+
+/**
+ * Called at the top of every loop in the robot code. A loop which has
+ * kept the worker busy for a while tells the simulator where it is, so
+ * the simulator can point at it if it has to stop the code.
+ * @param {number} line - The line of the robot code the loop is on.
+ */
+function __loop(line) {
+    if(!loopReported && Date.now() - busySince > 500) {
+        loopReported = true;
+        postMessage({type: "loop", line: line});
+    }
+}
+
+
+/**
+ * Find the end of the comment, string or regular expression starting at
+ * a place in the code.
+ * @param {string} code - The code.
+ * @param {number} i - Where to look.
+ * @returns The index just past the comment, string or regular expression,
+ *          or -1 if there isn't one there.
+ */
+function skipQuoted(code, i) {
+    var end;
+    if(code.startsWith("//", i)) {
+        end = code.indexOf("\n", i);
+        return end < 0 ? code.length : end;
+    }
+    if(code.startsWith("/*", i)) {
+        end = code.indexOf("*/", i + 2);
+        return end < 0 ? code.length : end + 2;
+    }
+    if(code[i] == "/") {
+        return regexStart(code, i) ? skipRegex(code, i) : -1;
+    }
+
+    var quote = code[i];
+    if(quote != '"' && quote != "'" && quote != "`") {
+        return -1;
+    }
+    for(end = i + 1; end < code.length; end++) {
+        if(code[end] == "\\") {
+            end++;
+        } else if(code[end] == quote) {
+            return end + 1;
+        }
+    }
+    return code.length;
+}
+
+
+/**
+ * Does the slash at a place in the code start a regular expression (and
+ * not a division)? It does unless the token before it ends a value.
+ * @param {string} code - The code.
+ * @param {number} i - Where the slash is.
+ * @returns true if it starts a regular expression.
+ */
+function regexStart(code, i) {
+    var end = i;
+    while(end > 0 && /\s/.test(code[end - 1])) {
+        end--;
+    }
+    var start = end;
+    while(start > 0 && /[\w$]/.test(code[start - 1])) {
+        start--;
+    }
+    var before = code.substring(start, end);
+    if(before) {
+        //a word ends a value unless it is a keyword like return
+        return ["return", "typeof", "instanceof", "in", "of", "new", "delete", "void",
+                "throw", "case", "do", "else", "yield", "await"].includes(before);
+    }
+    var c = code[end - 1];
+    if(c == "+" || c == "-") {
+        //(x++ / 2)
+        return code[end - 2] != c;
+    }
+    return end == 0 || !/[)\]"'`]/.test(c);
+}
+
+
+/**
+ * Find the end of the regular expression starting at a place in the code.
+ * @param {string} code - The code.
+ * @param {number} i - Where the regular expression starts.
+ * @returns The index just past the regular expression, or -1 if it
+ *          doesn't end on its line.
+ */
+function skipRegex(code, i) {
+    var inClass = false;    // slashes don't end it inside [...]
+    for(var end = i + 1; end < code.length && code[end] != "\n"; end++) {
+        if(code[end] == "\\") {
+            end++;
+        } else if(code[end] == "[") {
+            inClass = true;
+        } else if(code[end] == "]") {
+            inClass = false;
+        } else if(code[end] == "/" && !inClass) {
+            //(and its flags)
+            end++;
+            while(end < code.length && /[\w$]/.test(code[end])) {
+                end++;
             }
+            return end;
         }
     }
+    return -1;
 }
 
 
+/**
+ * Put a call to __loop at the top of the body of every loop in the robot
+ * code. Only loops with braces are marked, and the lines stay where they
+ * are so error messages still point at the right place.
+ * @param {string} code - The robot code.
+ * @returns The marked code.
+ */
+function instrumentLoops(code) {
+    var result = "";
+    var line = 1;
+    var i = 0;
+
+    //copy a piece of the code, counting its lines
+    var copy = function(end) {
+        var piece = code.substring(i, end);
+        line += piece.split("\n").length - 1;
+        result += piece;
+        i = end;
+    };
+
+    while(i < code.length) {
+        var end = skipQuoted(code, i);
+        if(end >= 0) {
+            copy(end);
+            continue;
+        }
+
+        var keyword = /^(for|while|do)\b/.exec(code.substring(i, i + 6));
+        if(!keyword || /[\w$.]/.test(code[i - 1] || "")) {
+            copy(i + 1);
+            continue;
+        }
+        var loopLine = line;
+        copy(i + keyword[1].length);
+
+        //skip over the loop's condition
+        if(keyword[1] != "do") {
+            while(i < code.length && /\s/.test(code[i])) {
+                copy(i + 1);
+            }
+            if(code[i] != "(") {
+                continue;
+            }
+            var depth = 0;
+            while(i < code.length) {
+                end = skipQuoted(code, i);
+                if(end >= 0) {
+                    copy(end);
+                    continue;
+                }
+                if(code[i] == "(") {
+                    depth++;
+                } else if(code[i] == ")") {
+                    depth--;
+                }
+                copy(i + 1);
+                if(depth == 0) {
+                    break;
+                }
+            }
+        }
+
+        //mark the top of the body
+        while(i < code.length && /\s/.test(code[i])) {
+            copy(i + 1);
+        }
+        if(code[i] == "{") {
+            copy(i + 1);
+            result += "__loop(" + loopLine + ");";
+        }
+    }
+
+    return result;
+}
+
+
+/******************************************
+ * Debugger
+ ******************************************/
+// while debugging: {breakpoints: [lines], stepping: stop at the next
+// statement?, names: [the code's variables], resume: continues the code}
+var debugState = null;
+
+/**
+ * Called at the start of each statement line of the robot code when it
+ * is being debugged. At a breakpoint (or the next statement when
+ * stepping) the code waits here until the simulator tells it to go on.
+ * @param {number} line - The line of the robot code.
+ * @param {function} scope - Looks up a variable where the code stopped.
+ * @returns A promise which resolves when the code may go on.
+ */
+function __step(line, scope) {
+    if(!debugState || !(debugState.stepping || debugState.breakpoints.includes(line))) {
+        return;
+    }
+
+    postMessage({type: "paused", line: line, locals: debugLocals(scope), parts: debugParts()});
+    return new Promise(function(resolve) {
+        debugState.resume = resolve;
+    });
+}
+
+
+/**
+ * Handle a debugger command from the simulator.
+ * @param {*} message - {command: "continue" | "step" | "breakpoints",
+ *                      breakpoints: [lines]}
+ */
+function debugCommand(message) {
+    if(!debugState) {
+        return;
+    }
+    if(message.command == "breakpoints") {
+        debugState.breakpoints = message.breakpoints;
+        return;
+    }
+
+    debugState.stepping = message.command == "step";
+    var resume = debugState.resume;
+    debugState.resume = null;
+    if(resume) {
+        resume();
+    }
+}
+
+
+/**
+ * Get the values of the robot code's variables which are in scope.
+ * @param {function} scope - Looks up a variable where the code stopped.
+ * @returns The printable values {name: value}.
+ */
+function debugLocals(scope) {
+    var locals = {};
+    for(var i=0; i < debugState.names.length; i++) {
+        var name = debugState.names[i];
+        try {
+            var value = scope(name);
+            if(typeof value != "function") {
+                locals[name] = printable(value);
+            }
+        } catch(error) {
+            //not in scope here, or not declared yet
+        }
+    }
+    return locals;
+}
+
+
+/**
+ * Get the readings of the robot's sensors.
+ * @returns The printable readings {part name: reading}.
+ */
+function debugParts() {
+    var parts = {};
+    for(var i=0; i < robot.parts.length; i++) {
+        var reading = robot.parts[i].reading();
+        if(reading !== robot.parts[i]) {
+            parts[robot.parts[i].name] = printable(reading);
+        }
+    }
+    return parts;
+}
+
+
+/**
+ * Find the names of the variables declared in the robot code.
+ * @param {string} code - The robot code.
+ * @returns The names.
+ */
+function declaredNames(code) {
+    var names = [];
+    var pattern = /\b(?:var|let|const)\s+([A-Za-z_$][\w$]*)/g;
+    var match;
+    while((match = pattern.exec(code)) != null) {
+        if(!names.includes(match[1])) {
+            names.push(match[1]);
+        }
+    }
+    return names;
+}
+
+
+/**
+ * Put a call to __step at the start of each line of the robot code where
+ * a statement starts, so the debugger can stop there. Only statements in
+ * plain blocks of the robot code's own function are marked (other
+ * functions can't await), and the lines stay where they are.
+ * @param {string} code - The robot code.
+ * @returns The marked code.
+ */
+function instrumentSteps(code) {
+    var result = "";
+    var line = 1;
+    var i = 0;
+    var lineStart = true;
+    var blocks = [];        // is each open brace a plain block?
+    var parens = [];        // the word before each open paren
+    var closed = "";        // the word before the last paren to close
+    var last = "";          // the last word or symbol in the code
+    var caseLabel = false;  // between a case and its colon?
+    var word = /[\w$]+/y;
+
+    //copy a piece of the code, counting its lines
+    var copy = function(end) {
+        var piece = code.substring(i, end);
+        line += piece.split("\n").length - 1;
+        result += piece;
+        i = end;
+    };
+
+    //can a statement start here? Semicolons are optional, so a new line
+    //starts a statement unless the code on either side of the line break
+    //carries on the statement before it
+    var statementStart = function() {
+        var rest = code.substring(i, i + 11);
+        if(parens.length > 0 || blocks.includes(false)) {
+            return false;
+        }
+        if(/^(else|catch|finally|case|default|in|instanceof|of)\b/.test(rest)) {
+            return false;
+        }
+
+        //after the end of a statement or block
+        if(last == "" || last == ";" || last == "{" || last == "}") {
+            //(the while of a do loop is not a new statement)
+            return /^([\w$([{"'`!~]|\+\+|--)/.test(rest) && !(last == "}" && /^while\b/.test(rest));
+        }
+
+        //after something which could end a statement, if the line does
+        //not go on with it (ex: ".then()", "+ 1", "(x)")
+        return expressionEnd() && /^([\w$"'!~]|\+\+|--)/.test(rest);
+    };
+
+    //could the last word or symbol end an expression?
+    var expressionEnd = function() {
+        if(last == ")") {
+            //not the head of an if, for, or while without braces
+            return !["if", "for", "while", "with"].includes(closed);
+        }
+        if(/^[\w$]/.test(last)) {
+            return !["new", "typeof", "instanceof", "in", "of", "void", "delete", "await",
+                     "yield", "var", "let", "const", "else", "do", "extends", "function",
+                     "class", "async", "case"].includes(last);
+        }
+        return last == "]" || last == "++" || last == "--";
+    };
+
+    //is the brace about to open a plain block (not a function or object)?
+    var plainBlock = function() {
+        if(last == ")") {
+            return ["if", "for", "while", "switch", "catch", "with"].includes(closed);
+        }
+        return ["", ";", "{", "}", "else", "do", "try", "finally"].includes(last);
+    };
+
+    while(i < code.length) {
+        if(code[i] == "\n") {
+            lineStart = true;
+            copy(i + 1);
+            continue;
+        }
+        if(/\s/.test(code[i])) {
+            copy(i + 1);
+            continue;
+        }
+
+        //mark the first statement on the line
+        if(lineStart) {
+            lineStart = false;
+            if(statementStart()) {
+                result += "await __step(" + line + ", __n => eval(__n)); ";
+            }
+        }
+
+        var end = skipQuoted(code, i);
+        if(end >= 0) {
+            //strings and regular expressions are values, comments are nothing
+            if(!code.startsWith("//", i) && !code.startsWith("/*", i)) {
+                last = "string";
+            }
+            copy(end);
+            continue;
+        }
+
+        word.lastIndex = i;
+        var match = word.exec(code);
+        if(match) {
+            last = match[0];
+            if(last == "case" || last == "default") {
+                caseLabel = true;
+            }
+            copy(i + last.length);
+            continue;
+        }
+
+        var c = code[i];
+        if(c == "(" || c == "[") {
+            parens.push(/^[\w$]/.test(last) ? last : "");
+        } else if(c == ")") {
+            closed = parens.pop() || "";
+        } else if(c == "]") {
+            parens.pop();
+        } else if(c == "{") {
+            blocks.push(plainBlock());
+        } else if(c == "}") {
+            blocks.pop();
+        }
+
+        //remember the symbols made of two characters which matter
+        if(c == ">" && last == "=") {
+            last = "=>";
+        } else if(c == ":" && caseLabel) {
+            //a case label ends like a statement
+            caseLabel = false;
+            last = ";";
+        } else if((c == "+" || c == "-") && last == c) {
+            last = c + c;
+        } else {
+            last = c;
+        }
+        copy(i + 1);
+    }
+
+    return result;
+}
+
+
+
+/****************************************** 
+ * Simulation Time
+ ******************************************/
+var simTime = 0;    // simulated time in seconds
+var sleepers = [];  // pending delays
+
+/**
+ * Advance our idea of the simulated time, waking up any delays which
+ * have expired.
+ * @param {number} time - The current simulated time in seconds.
+ */
+function updateTime(time) {
+    if(time == undefined) {
+        return;
+    }
+    simTime = time;
+
+    var waiting = [];
+    for(var i=0; i < sleepers.length; i++) {
+        if(sleepers[i].wake <= simTime) {
+            sleepers[i].resolve();
+        } else {
+            waiting.push(sleepers[i]);
+        }
+    }
+    sleepers = waiting;
+}
+
 
 /****************************************** 
  * Utility Functions 
  ******************************************/
 
 /**
- * Delay for the specified number of milliseconds.
+ * Delay for the specified number of milliseconds of simulated time.
  * @param {*} ms - milliseonds to sleep
  */
 function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return new Promise(resolve => sleepers.push({wake: simTime + ms/1000, resolve: resolve}));
+}
+
+
+/**
+ * Print a line in the simulator's console, stamped with the simulated
+ * time. (ex: print("distance", range.distance))
+ * @param {...*} values - The values to print, separated by spaces.
+ */
+function print(...values) {
+    var text = values.map(printable).join(" ");
+    postMessage({type: "print", text: text, time: simTime});
 }
+
+
+/**
+ * Turn a value into text for print. Strings are printed as they are,
+ * everything else as JSON where it can be.
+ * @param {*} value - The value.
+ */
+function printable(value) {
+    if(typeof value == "string") {
+        return value;
+    }
+    try {
+        var json = JSON.stringify(value);
+        return json === undefined ? String(value) : json;
+    } catch(error) {
+        //things like circular objects
+        return String(value);
+    }
+}
+
+
+// the robot code's console, which prints in the simulator's console
+var robotConsole = {log: print, info: print, warn: print, error: print, debug: print};